@@ -21,6 +21,25 @@ const MilkApp = (() => {
     backupLog: 'mf_backup_log',
     activities: 'mf_activities',
     currentStock: 'mf_current_stock',
+    supplierPayments: 'mf_supplier_payments',
+    rateCharts: 'mf_rate_charts',
+    shiftLocks: 'mf_shift_locks',
+    products: 'mf_products',
+    productions: 'mf_productions',
+    customers: 'mf_customers',
+    customerPayments: 'mf_customer_payments',
+    priceLists: 'mf_price_lists',
+    statementCredits: 'mf_statement_credits',
+    paymentEvents: 'mf_payment_events',
+    cashDrawers: 'mf_cash_drawers',
+    stockAdjustments: 'mf_stock_adjustments',
+    storageUnits: 'mf_storage_units',
+    storageTransfers: 'mf_storage_transfers',
+    closingVersions: 'mf_closing_versions',
+    expenses: 'mf_expenses',
+    recurringExpenses: 'mf_recurring_expenses',
+    attendance: 'mf_attendance',
+    staffAdvances: 'mf_staff_advances',
   };
 
   function dbGet(key) {
@@ -29,8 +48,18 @@ const MilkApp = (() => {
     } catch { return null; }
   }
 
+  // Lists the stock ledger is built from; writing any of them drops the cached ledger
+  const LEDGER_KEYS = [DB_KEYS.stockEntries, DB_KEYS.sales, DB_KEYS.productions, DB_KEYS.stockAdjustments];
+  let ledgerCache = null;
+
   function dbSet(key, value) {
     localStorage.setItem(key, JSON.stringify(value));
+    if (LEDGER_KEYS.includes(key)) ledgerCache = null;
+  }
+
+  function dbRemove(key) {
+    localStorage.removeItem(key);
+    if (LEDGER_KEYS.includes(key)) ledgerCache = null;
   }
 
   function dbGetList(key) {
@@ -53,8 +82,10 @@ const MilkApp = (() => {
     return '₹' + Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
   }
 
-  function formatQty(n) {
-    return Number(n || 0).toFixed(1) + ' L';
+  const UNITS = { L: 'L', kg: 'kg', piece: 'pcs' };
+
+  function formatQty(n, unit = 'L') {
+    return Number(n || 0).toFixed(unit === 'piece' ? 0 : 1) + ' ' + (UNITS[unit] || unit);
   }
 
   function formatTime(isoStr) {
@@ -75,6 +106,18 @@ const MilkApp = (() => {
     return d.toLocaleDateString('en-IN', { day: '2-digit', month: 'short' });
   }
 
+  // Date strings are 'YYYY-MM-DD' (see todayStr), so arithmetic is done in UTC
+  function addDays(dateStr, days) {
+    const d = new Date(dateStr + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+  }
+
+  function monthEnd(dateStr) {
+    const d = new Date(dateStr + 'T00:00:00Z');
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).toISOString().split('T')[0];
+  }
+
   // =============== INITIALIZATION ===============
   async function initDefaults() {
     // Default users (with hashed passwords)
@@ -116,9 +159,32 @@ const MilkApp = (() => {
         defaultPrice: 50,
       });
     }
-    // Initialize current stock if not set
-    if (dbGet(DB_KEYS.currentStock) === null) {
-      dbSet(DB_KEYS.currentStock, 0);
+    // Product catalogue always contains raw milk
+    if (!dbGet(DB_KEYS.products)) {
+      dbSet(DB_KEYS.products, [
+        { id: MILK_PRODUCT_ID, name: 'Milk', unit: 'L', price: null, status: 'active', createdAt: nowTimestamp() },
+      ]);
+    }
+    // Standard price lists; empty lists fall back to each product's base price
+    if (!dbGet(DB_KEYS.priceLists)) {
+      dbSet(DB_KEYS.priceLists, [
+        { id: 'retail', name: 'Retail', rates: [], createdAt: nowTimestamp() },
+        { id: 'wholesale', name: 'Wholesale', rates: [], createdAt: nowTimestamp() },
+        { id: 'hotel', name: 'Hotel', rates: [], createdAt: nowTimestamp() },
+      ]);
+    }
+    // Typical storage; capacities and safe temperatures are editable on the Storage page
+    if (!dbGet(DB_KEYS.storageUnits)) {
+      dbSet(DB_KEYS.storageUnits, [
+        { id: 'cooler', name: 'Bulk Cooler', type: 'cooler', capacity: 200, safeTemp: 4, status: 'active', createdAt: nowTimestamp() },
+        { id: 'cans', name: 'Milk Cans', type: 'can', capacity: 160, safeTemp: 8, status: 'active', createdAt: nowTimestamp() },
+        { id: 'fridge', name: 'Shop Fridge', type: 'fridge', capacity: 50, safeTemp: 5, status: 'active', createdAt: nowTimestamp() },
+      ]);
+    }
+    // Current stock is kept per product; older data stored a single milk number
+    const stock = dbGet(DB_KEYS.currentStock);
+    if (stock === null || typeof stock === 'number') {
+      dbSet(DB_KEYS.currentStock, { [MILK_PRODUCT_ID]: Number(stock) || 0 });
     }
   }
 
@@ -231,6 +297,7 @@ const MilkApp = (() => {
         MilkSecurity.createSession(currentUser);
         MilkSecurity.recordLoginAttempt(username, true);
         MilkSecurity.auditLog('LOGIN_SUCCESS', `User logged in as ${role}`, username);
+        checkIn(user.username, 'login');
         showApp();
         toast('success', 'Welcome back!', `Logged in as ${user.name}`);
         return true;
@@ -246,6 +313,7 @@ const MilkApp = (() => {
 
   function logout() {
     MilkSecurity.auditLog('LOGOUT', 'User logged out', currentUser?.username);
+    if (currentUser) checkOut(currentUser.username);
     currentUser = null;
     MilkSecurity.destroySession();
     showLogin();
@@ -258,10 +326,9 @@ const MilkApp = (() => {
     document.getElementById('userAvatar').textContent = currentUser.name.charAt(0).toUpperCase();
 
     // Owner-only controls
-    const closeDaySection = document.getElementById('closeDaySection');
-    if (closeDaySection) {
-      closeDaySection.style.display = currentUser.role === 'owner' ? '' : 'none';
-    }
+    document.querySelectorAll('.owner-only').forEach(el => {
+      el.style.display = currentUser.role === 'owner' ? '' : 'none';
+    });
 
     // Populate account settings
     document.getElementById('accUsername').textContent = currentUser.username;
@@ -273,8 +340,13 @@ const MilkApp = (() => {
     dashboard: { title: 'Dashboard', subtitle: "Overview of today's operations" },
     suppliers: { title: 'Suppliers', subtitle: 'Manage your milk suppliers' },
     stock: { title: 'Stock Entry', subtitle: 'Record milk purchases' },
+    production: { title: 'Production', subtitle: 'Convert milk into curd, paneer and more' },
     storage: { title: 'Storage Log', subtitle: 'Track milk storage conditions' },
     sales: { title: 'Sales', subtitle: 'Record and track sales' },
+    customers: { title: 'Customers', subtitle: 'Monthly subscribers and daily deliveries' },
+    expenses: { title: 'Expenses', subtitle: 'Rent, electricity, wages and other running costs' },
+    staff: { title: 'Staff', subtitle: 'Attendance, advances and monthly payouts' },
+    reports: { title: 'Reports', subtitle: 'Summaries over any date range' },
     closing: { title: 'Day Closing', subtitle: 'End of day summary & lock' },
     backup: { title: 'Backup', subtitle: 'Export & restore your data' },
     settings: { title: 'Settings', subtitle: 'Configure your shop' },
@@ -310,14 +382,26 @@ const MilkApp = (() => {
       case 'dashboard': refreshDashboard(); break;
       case 'suppliers': refreshSuppliers(); break;
       case 'stock': refreshStock(); break;
+      case 'production': refreshProduction(); break;
       case 'storage': refreshStorage(); break;
       case 'sales': refreshSales(); break;
+      case 'customers': refreshCustomers(); break;
+      case 'expenses': refreshExpenses(); break;
+      case 'staff': refreshStaff(); break;
+      case 'reports': refreshReports(); break;
       case 'closing': refreshClosing(); break;
-      case 'backup': refreshBackupLog(); break;
+      case 'backup': refreshBackupLog(); renderStockIntegrity(checkStockIntegrity()); break;
       case 'settings': loadSettings(); break;
     }
   }
 
+  // Re-renders the open page when data changes outside a user action
+  function refreshLivePages() {
+    const active = document.querySelector('.nav-item.active');
+    const page = active ? active.dataset.page : null;
+    if (['dashboard', 'sales', 'closing'].includes(page)) refreshPage(page);
+  }
+
   // =============== HEADER ===============
   function updateHeaderDate() {
     const now = new Date();
@@ -326,9 +410,77 @@ const MilkApp = (() => {
   }
 
   // =============== DAY LOCK ===============
+  // A day is locked once it or any later day is closed: closing skips days
+  // with no records, and a record added to such a gap would change the stock
+  // of every closing after it. Only the latest closed day can be reopened.
   function isDayLocked(date) {
     const closings = dbGetList(DB_KEYS.closings);
-    return closings.some(c => c.date === (date || todayStr()));
+    return closings.some(c => c.date >= (date || todayStr()));
+  }
+
+  // =============== SHIFTS ===============
+  const SHIFTS = { morning: '🌅 Morning', evening: '🌇 Evening' };
+
+  function shiftForTime(isoStr) {
+    return new Date(isoStr).getHours() < 14 ? 'morning' : 'evening';
+  }
+
+  function currentShift() {
+    return shiftForTime(nowTimestamp());
+  }
+
+  // Records saved before shifts existed are assigned by their time of entry
+  function recordShift(record) {
+    return record.shift || shiftForTime(record.timestamp);
+  }
+
+  function isShiftLocked(date, shift) {
+    if (isDayLocked(date)) return true;
+    return dbGetList(DB_KEYS.shiftLocks).some(l => l.date === date && l.shift === shift);
+  }
+
+  function getShiftTotals(date) {
+    const sales = dbGetList(DB_KEYS.sales).filter(s => s.date === date && isCountedSale(s));
+    const stock = dbGetList(DB_KEYS.stockEntries).filter(s => s.date === date && !s.voided);
+    const totals = {};
+    Object.keys(SHIFTS).forEach(shift => {
+      const shiftSales = sales.filter(s => recordShift(s) === shift);
+      const isMilk = r => recordProduct(r) === MILK_PRODUCT_ID;
+      const cash = shiftSales.filter(s => s.paymentMode === 'cash').reduce((sum, s) => sum + Number(s.amount), 0);
+      const upi = shiftSales.filter(s => s.paymentMode === 'upi' && !isAwaitingGateway(s)).reduce((sum, s) => sum + Number(s.amount), 0);
+      const credit = shiftSales.filter(s => s.paymentMode === 'credit').reduce((sum, s) => sum + Number(s.amount), 0);
+      totals[shift] = {
+        salesCount: shiftSales.length,
+        sold: shiftSales.filter(isMilk).reduce((sum, s) => sum + Number(s.quantity), 0),
+        purchased: stock.filter(s => recordShift(s) === shift && isMilk(s)).reduce((sum, s) => sum + Number(s.quantity), 0),
+        cash,
+        upi,
+        credit,
+        revenue: cash + upi + credit,
+        locked: isShiftLocked(date, shift),
+      };
+    });
+    return totals;
+  }
+
+  function confirmLockShift(shift) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can lock a shift');
+      return;
+    }
+    const today = todayStr();
+    if (isShiftLocked(today, shift)) {
+      toast('warning', 'Already Locked', `${SHIFTS[shift]} shift is already locked`);
+      return;
+    }
+    showConfirm('🔒', `Lock ${SHIFTS[shift]} Shift?`, 'No further entries can be made for this shift today.', '🔒 Lock Shift', 'btn-warning', () => {
+      const locks = dbGetList(DB_KEYS.shiftLocks);
+      locks.push({ date: today, shift, lockedBy: currentUser.username, lockedAt: nowTimestamp() });
+      dbSet(DB_KEYS.shiftLocks, locks);
+      addActivity('closing', `<strong>${SHIFTS[shift]} shift locked</strong> for ${formatDate(today)}`);
+      toast('success', 'Shift Locked', `${SHIFTS[shift]} shift records are now locked`);
+      refreshClosing();
+    });
   }
 
   function checkDayLocked() {
@@ -450,19 +602,157 @@ const MilkApp = (() => {
     `).join('');
   }
 
+  // =============== PRODUCTS ===============
+  const MILK_PRODUCT_ID = 'milk';
+
+  function getProducts(activeOnly) {
+    const products = dbGetList(DB_KEYS.products);
+    return activeOnly ? products.filter(p => p.status === 'active') : products;
+  }
+
+  function getProduct(productId) {
+    return getProducts().find(p => p.id === productId) || { id: productId, name: 'Unknown', unit: 'L' };
+  }
+
+  // Records saved before the catalogue existed are all raw milk
+  function recordProduct(record) {
+    return record.productId || MILK_PRODUCT_ID;
+  }
+
+  // Milk is priced from Settings → Default Milk Price, other products carry their own price
+  function getProductPrice(productId) {
+    if (productId === MILK_PRODUCT_ID) return Number((dbGet(DB_KEYS.settings) || {}).defaultPrice) || 0;
+    return Number(getProduct(productId).price) || 0;
+  }
+
+  // Current stock comes from the ledger; see STOCK LEDGER
+  function getStock(productId = MILK_PRODUCT_ID) {
+    return getStockOn(productId);
+  }
+
+  // Keeps the stored counter in step so the integrity check can spot drift
+  function adjustStock(productId, delta) {
+    const stock = dbGet(DB_KEYS.currentStock) || {};
+    stock[productId] = Math.round(((Number(stock[productId]) || 0) + Number(delta)) * 1000) / 1000;
+    dbSet(DB_KEYS.currentStock, stock);
+  }
+
+  function productOptions(selectedId) {
+    return getProducts(true).map(p =>
+      `<option value="${p.id}" ${p.id === selectedId ? 'selected' : ''}>${escHtml(p.name)} (${UNITS[p.unit] || p.unit})</option>`
+    ).join('');
+  }
+
+  function renderProducts() {
+    const list = document.getElementById('productList');
+    if (!list) return;
+    list.innerHTML = getProducts().map(p => `
+      <div class="activity-item" style="padding:10px 0;">
+        <span class="activity-dot ${p.status === 'active' ? 'sale' : 'alert'}"></span>
+        <div style="flex:1;">
+          <div class="fw-bold" style="font-size:0.88rem;">${escHtml(p.name)}</div>
+          <div class="text-muted" style="font-size:0.75rem;">
+            ${formatCurrency(getProductPrice(p.id))} per ${UNITS[p.unit] || p.unit} • In stock: ${formatQty(getStock(p.id), p.unit)} • Keeps ${getShelfLifeHours(p.id)} h
+          </div>
+        </div>
+        <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showProductModal('${p.id}')" title="Edit">✏️</button>
+        ${p.id === MILK_PRODUCT_ID ? '' : `
+        <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.toggleProductStatus('${p.id}')" title="Toggle Status">
+          ${p.status === 'active' ? '🔴' : '🟢'}
+        </button>`}
+      </div>
+    `).join('');
+  }
+
+  function showProductModal(editId) {
+    document.getElementById('productForm').reset();
+    document.getElementById('productId').value = '';
+    document.getElementById('productModalTitle').textContent = 'Add Product';
+    document.getElementById('productUnit').disabled = false;
+
+    const product = editId && getProducts().find(p => p.id === editId);
+    if (product) {
+      document.getElementById('productModalTitle').textContent = 'Edit Product';
+      document.getElementById('productId').value = product.id;
+      document.getElementById('productName').value = product.name;
+      document.getElementById('productUnit').value = product.unit;
+      document.getElementById('productPrice').value = getProductPrice(product.id) || '';
+      document.getElementById('productYield').value = product.yieldPerLitre || '';
+      document.getElementById('productShelfLife').value = product.shelfLifeHours || '';
+      // Milk stays in litres — stock entries, rate charts and closings depend on it
+      document.getElementById('productUnit').disabled = product.id === MILK_PRODUCT_ID;
+    }
+    openModal('productModal');
+  }
+
+  function saveProduct() {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can edit the product catalogue');
+      return;
+    }
+
+    const editId = document.getElementById('productId').value;
+    const name = document.getElementById('productName').value.trim();
+    const unit = document.getElementById('productUnit').value;
+    const price = Number(document.getElementById('productPrice').value) || 0;
+    const yieldPerLitre = Number(document.getElementById('productYield').value) || null;
+    const shelfLifeHours = Number(document.getElementById('productShelfLife').value) || null;
+
+    if (!name) {
+      toast('error', 'Validation Error', 'Product name is required');
+      return;
+    }
+
+    const products = getProducts();
+    if (editId) {
+      const product = products.find(p => p.id === editId);
+      if (!product) return;
+      product.name = name;
+      product.shelfLifeHours = shelfLifeHours;
+      if (editId === MILK_PRODUCT_ID) {
+        const settings = dbGet(DB_KEYS.settings) || {};
+        settings.defaultPrice = price;
+        dbSet(DB_KEYS.settings, settings);
+      } else {
+        product.unit = unit;
+        product.price = price;
+        product.yieldPerLitre = yieldPerLitre;
+      }
+      toast('success', 'Product Updated', `${name} has been updated`);
+    } else {
+      products.push({ id: generateId(), name, unit, price, yieldPerLitre, shelfLifeHours, status: 'active', createdAt: nowTimestamp() });
+      toast('success', 'Product Added', `${name} has been added to the catalogue`);
+      addActivity('sale', `Added product <strong>${escHtml(name)}</strong>`);
+    }
+
+    dbSet(DB_KEYS.products, products);
+    closeModal('productModal');
+    renderProducts();
+  }
+
+  function toggleProductStatus(id) {
+    if (id === MILK_PRODUCT_ID) return;
+    const products = getProducts();
+    const product = products.find(p => p.id === id);
+    if (product) {
+      product.status = product.status === 'active' ? 'inactive' : 'active';
+      dbSet(DB_KEYS.products, products);
+      toast('info', 'Status Changed', `${product.name} is now ${product.status}`);
+      renderProducts();
+    }
+  }
+
   // =============== DASHBOARD ===============
   function refreshDashboard() {
     const today = todayStr();
-    const stock = dbGet(DB_KEYS.currentStock) || 0;
+    const stock = getStock();
     const suppliers = dbGetList(DB_KEYS.suppliers).filter(s => s.status === 'active');
-    const todaySales = dbGetList(DB_KEYS.sales).filter(s => s.date === today);
-    const todayStock = dbGetList(DB_KEYS.stockEntries).filter(s => s.date === today);
+    const todaySales = dbGetList(DB_KEYS.sales).filter(s => s.date === today && isCountedSale(s));
+    const summary = getDaySummary(today);
 
-    const totalRevenue = todaySales.reduce((sum, s) => sum + Number(s.amount), 0);
-    const cashRevenue = todaySales.filter(s => s.paymentMode === 'cash').reduce((sum, s) => sum + Number(s.amount), 0);
-    const upiRevenue = todaySales.filter(s => s.paymentMode === 'upi').reduce((sum, s) => sum + Number(s.amount), 0);
-    const totalPurchased = todayStock.reduce((sum, s) => sum + Number(s.quantity), 0);
-    const totalSold = todaySales.reduce((sum, s) => sum + Number(s.quantity), 0);
+    const { totalRevenue, cashRevenue, upiRevenue } = summary;
+    const totalPurchased = summary.purchased;
+    const totalSold = summary.sold;
 
     document.getElementById('dashStock').textContent = formatQty(stock);
     document.getElementById('dashRevenue').textContent = formatCurrency(totalRevenue);
@@ -470,10 +760,11 @@ const MilkApp = (() => {
     document.getElementById('dashSuppliers').textContent = suppliers.length;
 
     document.getElementById('dashCashSales').textContent = formatCurrency(cashRevenue);
-    document.getElementById('dashUpiSales').textContent = formatCurrency(upiRevenue);
+    document.getElementById('dashUpiSales').textContent = formatCurrency(upiRevenue) + (summary.upiPending ? ` (+${formatCurrency(summary.upiPending)} pending)` : '');
     document.getElementById('dashPurchased').textContent = formatQty(totalPurchased);
     document.getElementById('dashSold').textContent = formatQty(totalSold);
-    document.getElementById('dashNet').textContent = formatCurrency(totalRevenue - todayStock.reduce((sum, s) => sum + Number(s.cost), 0));
+    document.getElementById('dashOtherExpenses').textContent = formatCurrency(summary.operatingExpenses.total);
+    document.getElementById('dashNet').textContent = formatCurrency(summary.netProfit);
 
     // Change indicators
     document.getElementById('dashStockChange').textContent = stock > 0 ? `Available for sale` : 'No stock';
@@ -481,10 +772,67 @@ const MilkApp = (() => {
     document.getElementById('dashSalesChange').textContent = todaySales.length > 0 ? `${formatQty(totalSold)} sold` : '—';
     document.getElementById('dashSupChange').textContent = suppliers.length > 0 ? `${suppliers.length} active` : '—';
 
+    document.getElementById('dashProductBody').innerHTML = renderProductRows(summary.products);
+    renderExpiryAlerts();
+    renderTrends();
+
     renderActivities();
     checkDayLocked();
   }
 
+  // Trend charts end today; closed days use their closing, open days are live
+  let trendDays = 7;
+
+  function setTrendRange(days) {
+    trendDays = days;
+    renderTrends();
+  }
+
+  function renderTrends() {
+    document.querySelectorAll('#trendRange button').forEach(btn => {
+      btn.className = `btn ${Number(btn.dataset.days) === trendDays ? 'btn-primary' : 'btn-ghost'} btn-sm`;
+    });
+
+    const dates = [];
+    for (let i = trendDays - 1; i >= 0; i--) dates.push(addDays(todayStr(), -i));
+    const figures = dates.map(getDayFigures);
+    const labels = dates.map(formatDateShort);
+    const pick = field => figures.map(f => Number(f[field]) || 0);
+    const compactQty = v => `${Math.round(v)} L`;
+    const compactMoney = v => Math.abs(v) >= 1000 ? `₹${Math.round(v / 100) / 10}k` : `₹${Math.round(v)}`;
+
+    MilkCharts.line(document.getElementById('chartLitres'), {
+      labels,
+      format: compactQty,
+      series: [
+        { name: 'Sold', color: 'var(--danger-400)', values: pick('sold') },
+        { name: 'Purchased', color: 'var(--primary-400)', values: pick('purchased') },
+      ],
+    });
+    MilkCharts.line(document.getElementById('chartMoney'), {
+      labels,
+      format: compactMoney,
+      series: [
+        { name: 'Revenue', color: 'var(--success-400)', values: pick('totalRevenue') },
+        { name: 'Expenses', color: 'var(--danger-400)', values: pick('expenses') },
+      ],
+    });
+    MilkCharts.bar(document.getElementById('chartPayMix'), {
+      labels,
+      stacked: true,
+      format: compactMoney,
+      series: [
+        { name: 'Cash', color: 'var(--success-500)', values: pick('cashRevenue') },
+        { name: 'UPI', color: 'var(--primary-500)', values: pick('upiRevenue') },
+      ],
+    });
+    MilkCharts.bar(document.getElementById('chartStock'), {
+      labels,
+      format: compactQty,
+      series: [{ name: 'Milk at close', color: 'var(--accent-500)', values: pick('closingStock') }],
+    });
+  }
+
   // =============== SUPPLIER MANAGEMENT ===============
   function refreshSuppliers() {
     const suppliers = dbGetList(DB_KEYS.suppliers);
@@ -501,12 +849,8 @@ const MilkApp = (() => {
     table.style.display = '';
     empty.style.display = 'none';
 
-    const stockEntries = dbGetList(DB_KEYS.stockEntries);
-
     tbody.innerHTML = suppliers.map(sup => {
-      const supStock = stockEntries.filter(e => e.supplierId === sup.id);
-      const totalSupplied = supStock.reduce((s, e) => s + Number(e.quantity), 0);
-      const totalPaid = supStock.reduce((s, e) => s + Number(e.cost), 0);
+      const summary = getSupplierSummary(sup.id);
 
       return `
         <tr>
@@ -515,9 +859,9 @@ const MilkApp = (() => {
             <div class="text-muted" style="font-size:0.75rem;">${escHtml(sup.address || '—')}</div>
           </td>
           <td class="font-mono" style="font-size:0.82rem;">${escHtml(sup.contact)}</td>
-          <td class="fw-bold">${formatQty(totalSupplied)}</td>
-          <td class="fw-bold">${formatCurrency(totalPaid)}</td>
-          <td class="fw-bold text-warning">${formatCurrency(0)}</td>
+          <td class="fw-bold">${formatQty(summary.totalSupplied)}</td>
+          <td class="fw-bold">${formatCurrency(summary.totalPaid)}</td>
+          <td class="fw-bold ${summary.balance > 0 ? 'text-warning' : 'text-success'}">${formatCurrency(summary.balance)}</td>
           <td>
             <span class="badge ${sup.status === 'active' ? 'badge-success' : 'badge-danger'}">
               ${sup.status === 'active' ? 'Active' : 'Inactive'}
@@ -525,6 +869,7 @@ const MilkApp = (() => {
           </td>
           <td>
             <div class="flex gap-sm">
+              <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showSupplierLedger('${sup.id}')" title="Ledger">📒</button>
               <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.editSupplier('${sup.id}')" title="Edit">✏️</button>
               <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.toggleSupplierStatus('${sup.id}')" title="Toggle Status">
                 ${sup.status === 'active' ? '🔴' : '🟢'}
@@ -540,6 +885,8 @@ const MilkApp = (() => {
     const form = document.getElementById('supplierForm');
     form.reset();
     document.getElementById('supplierId').value = '';
+    document.getElementById('supplierRateChart').innerHTML = '<option value="">Shop default chart</option>' +
+      dbGetList(DB_KEYS.rateCharts).map(c => `<option value="${c.id}">${escHtml(c.name)}</option>`).join('');
 
     if (editId) {
       const suppliers = dbGetList(DB_KEYS.suppliers);
@@ -550,6 +897,9 @@ const MilkApp = (() => {
         document.getElementById('supplierName').value = sup.name;
         document.getElementById('supplierContact').value = sup.contact;
         document.getElementById('supplierAddress').value = sup.address || '';
+        document.getElementById('supplierCycle').value = sup.settlementCycle || 'weekly';
+        document.getElementById('supplierPaymentDetails').value = sup.paymentDetails || '';
+        document.getElementById('supplierRateChart').value = sup.rateChartId || '';
       }
     } else {
       document.getElementById('supplierModalTitle').textContent = 'Add Supplier';
@@ -561,6 +911,9 @@ const MilkApp = (() => {
     const name = document.getElementById('supplierName').value.trim();
     const contact = document.getElementById('supplierContact').value.trim();
     const address = document.getElementById('supplierAddress').value.trim();
+    const settlementCycle = document.getElementById('supplierCycle').value;
+    const paymentDetails = document.getElementById('supplierPaymentDetails').value.trim();
+    const rateChartId = document.getElementById('supplierRateChart').value || null;
     const editId = document.getElementById('supplierId').value;
 
     if (!name || !contact) {
@@ -576,6 +929,9 @@ const MilkApp = (() => {
         suppliers[idx].name = name;
         suppliers[idx].contact = contact;
         suppliers[idx].address = address;
+        suppliers[idx].settlementCycle = settlementCycle;
+        suppliers[idx].paymentDetails = paymentDetails;
+        suppliers[idx].rateChartId = rateChartId;
         toast('success', 'Supplier Updated', `${name} has been updated`);
         addActivity('purchase', `Updated supplier <strong>${name}</strong>`);
       }
@@ -585,6 +941,9 @@ const MilkApp = (() => {
         name,
         contact,
         address,
+        settlementCycle,
+        paymentDetails,
+        rateChartId,
         status: 'active',
         createdAt: nowTimestamp(),
       });
@@ -626,319 +985,4480 @@ const MilkApp = (() => {
     });
   }
 
-  // =============== STOCK MANAGEMENT ===============
-  function refreshStock() {
-    // Populate supplier dropdown
-    const suppliers = dbGetList(DB_KEYS.suppliers).filter(s => s.status === 'active');
-    const select = document.getElementById('stockSupplier');
-    const currentVal = select.value;
-    select.innerHTML = '<option value="">Select Supplier</option>' +
-      suppliers.map(s => `<option value="${s.id}" ${s.id === currentVal ? 'selected' : ''}>${escHtml(s.name)}</option>`).join('');
+  // =============== SUPPLIER LEDGER ===============
+  // Stock entries are credit purchases: `cost` is what we owe and `paidAmount`
+  // is whatever was handed over on delivery. Entries recorded before the ledger
+  // existed have no `paidAmount` and were always treated as paid in full.
+  function getEntryPaidAmount(entry) {
+    return entry.paidAmount === undefined ? Number(entry.cost) : Number(entry.paidAmount);
+  }
 
-    // Set default date
-    if (!document.getElementById('stockDate').value) {
-      document.getElementById('stockDate').value = todayStr();
-    }
+  function getSupplierLedger(supplierId) {
+    const lines = [];
+
+    dbGetList(DB_KEYS.stockEntries).filter(e => e.supplierId === supplierId && !e.voided).forEach(e => {
+      lines.push({
+        date: e.date,
+        timestamp: e.timestamp,
+        type: 'purchase',
+        description: `${formatQty(e.quantity, getProduct(recordProduct(e)).unit)} ${getProduct(recordProduct(e)).name} received${e.notes ? ' — ' + e.notes : ''}`,
+        credit: Number(e.cost),
+        debit: 0,
+      });
+      const paid = getEntryPaidAmount(e);
+      if (paid > 0) {
+        lines.push({
+          date: e.date,
+          timestamp: e.timestamp,
+          type: 'payment',
+          description: 'Paid on delivery',
+          credit: 0,
+          debit: paid,
+        });
+      }
+    });
 
-    // Render stock entries
-    renderStockEntries();
+    dbGetList(DB_KEYS.supplierPayments).filter(p => p.supplierId === supplierId).forEach(p => {
+      lines.push({
+        date: p.date,
+        timestamp: p.timestamp,
+        type: 'payment',
+        description: `Payment (${paymentModeLabel(p.mode)})${p.reference ? ' — Ref ' + p.reference : ''}`,
+        credit: 0,
+        debit: Number(p.amount),
+        periodTo: p.periodTo || null,
+      });
+    });
+
+    lines.sort((a, b) => a.date.localeCompare(b.date) || new Date(a.timestamp) - new Date(b.timestamp));
+
+    let balance = 0;
+    lines.forEach(line => {
+      balance += line.credit - line.debit;
+      line.balance = balance;
+    });
+    return lines;
   }
 
-  function renderStockEntries() {
-    const entries = dbGetList(DB_KEYS.stockEntries).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 20);
-    const container = document.getElementById('stockEntriesList');
+  function getSupplierSummary(supplierId) {
+    const supStock = dbGetList(DB_KEYS.stockEntries).filter(e => e.supplierId === supplierId && recordProduct(e) === MILK_PRODUCT_ID && !e.voided);
+    const ledger = getSupplierLedger(supplierId);
+    const totalPurchased = ledger.reduce((sum, l) => sum + l.credit, 0);
+    const totalPaid = ledger.reduce((sum, l) => sum + l.debit, 0);
+    return {
+      totalSupplied: supStock.reduce((sum, e) => sum + Number(e.quantity), 0),
+      totalPurchased,
+      totalPaid,
+      balance: totalPurchased - totalPaid,
+    };
+  }
 
-    if (entries.length === 0) {
-      container.innerHTML = `
-        <div class="empty-state" style="padding:32px 0">
-          <div class="empty-icon">📦</div>
-          <h4>No stock entries yet</h4>
-          <p>Record your first milk purchase</p>
-        </div>`;
-      return;
+  function paymentModeLabel(mode) {
+    const labels = { cash: '💵 Cash', upi: '📱 UPI', bank: '🏦 Bank', credit: '📒 Credit' };
+    return labels[mode] || mode;
+  }
+
+  function showSupplierLedger(supplierId) {
+    const sup = dbGetList(DB_KEYS.suppliers).find(s => s.id === supplierId);
+    if (!sup) return;
+
+    const summary = getSupplierSummary(supplierId);
+    const ledger = getSupplierLedger(supplierId);
+
+    document.getElementById('ledgerSupplierId').value = supplierId;
+    document.getElementById('ledgerSupplierName').textContent = sup.name;
+    document.getElementById('ledgerSupplierContact').textContent = sup.contact;
+    document.getElementById('ledgerTotalPurchased').textContent = formatCurrency(summary.totalPurchased);
+    document.getElementById('ledgerTotalPaid').textContent = formatCurrency(summary.totalPaid);
+    const balanceEl = document.getElementById('ledgerBalance');
+    balanceEl.textContent = formatCurrency(summary.balance);
+    balanceEl.className = `info-value ${summary.balance > 0 ? 'text-warning' : 'text-success'}`;
+
+    const tbody = document.getElementById('ledgerTableBody');
+    const empty = document.getElementById('ledgerEmpty');
+    if (ledger.length === 0) {
+      tbody.innerHTML = '';
+      empty.style.display = '';
+    } else {
+      empty.style.display = 'none';
+      tbody.innerHTML = ledger.map(l => `
+        <tr>
+          <td>${formatDate(l.date)}</td>
+          <td>${escHtml(l.description)}</td>
+          <td class="text-danger">${l.credit ? formatCurrency(l.credit) : '—'}</td>
+          <td class="text-success">${l.debit ? formatCurrency(l.debit) : '—'}</td>
+          <td class="fw-bold font-mono">${formatCurrency(l.balance)}</td>
+        </tr>
+      `).join('');
     }
 
-    const suppliers = dbGetList(DB_KEYS.suppliers);
+    openModal('supplierLedgerModal');
+  }
 
-    container.innerHTML = entries.map(e => {
-      const sup = suppliers.find(s => s.id === e.supplierId);
-      return `
-        <div class="activity-item" style="padding:12px 0;">
-          <span class="activity-dot purchase"></span>
-          <div style="flex:1;">
-            <div class="fw-bold" style="font-size:0.88rem;">
-              ${formatQty(e.quantity)} from ${escHtml(sup ? sup.name : 'Unknown')}
-            </div>
-            <div class="text-muted" style="font-size:0.75rem;">
-              ${formatDate(e.date)} • ${formatCurrency(e.cost)} paid
-              ${e.notes ? ' • ' + escHtml(e.notes) : ''}
-            </div>
-          </div>
-          <span class="badge badge-primary">${formatCurrency(e.cost)}</span>
-        </div>`;
-    }).join('');
+  function showSupplierPaymentModal() {
+    const supplierId = document.getElementById('ledgerSupplierId').value;
+    const sup = dbGetList(DB_KEYS.suppliers).find(s => s.id === supplierId);
+    if (!sup) return;
+
+    document.getElementById('supplierPaymentForm').reset();
+    document.getElementById('paymentSupplierId').value = supplierId;
+    document.getElementById('paymentSupplierName').textContent = sup.name;
+    document.getElementById('paymentDate').value = todayStr();
+    const balance = getSupplierSummary(supplierId).balance;
+    document.getElementById('paymentAmount').value = balance > 0 ? balance : '';
+    openModal('supplierPaymentModal');
   }
 
-  function addStockEntry(date, supplierId, quantity, cost, notes) {
+  function addSupplierPayment(date, supplierId, amount, mode, reference, notes, details = {}) {
     if (isDayLocked(date)) {
-      toast('error', 'Day Locked', 'Cannot add entries for a closed day');
+      toast('error', 'Day Locked', 'Cannot record payments for a closed day');
       return false;
     }
 
-    const entry = {
+    const payment = {
       id: generateId(),
       date,
       supplierId,
-      quantity: Number(quantity),
-      cost: Number(cost),
+      amount: Number(amount),
+      mode,
+      reference: reference || '',
       notes: notes || '',
+      periodFrom: details.periodFrom || null,
+      periodTo: details.periodTo || null,
+      recordedBy: currentUser?.username,
       timestamp: nowTimestamp(),
     };
 
-    const entries = dbGetList(DB_KEYS.stockEntries);
-    entries.push(entry);
-    dbSet(DB_KEYS.stockEntries, entries);
-
-    // Update current stock
-    const currentStock = (dbGet(DB_KEYS.currentStock) || 0) + Number(quantity);
-    dbSet(DB_KEYS.currentStock, currentStock);
+    const payments = dbGetList(DB_KEYS.supplierPayments);
+    payments.push(payment);
+    dbSet(DB_KEYS.supplierPayments, payments);
 
     const sup = dbGetList(DB_KEYS.suppliers).find(s => s.id === supplierId);
-    addActivity('purchase', `Received <strong>${formatQty(quantity)}</strong> from <strong>${sup ? sup.name : 'Unknown'}</strong>`);
+    addActivity('purchase', `Paid <strong>${formatCurrency(amount)}</strong> to <strong>${sup ? sup.name : 'Unknown'}</strong> (${paymentModeLabel(mode)})`);
 
     return true;
   }
 
-  // =============== STORAGE LOG ===============
-  function refreshStorage() {
-    if (!document.getElementById('storageDate').value) {
-      document.getElementById('storageDate').value = todayStr();
-    }
-    renderStorageLogs();
-  }
-
-  function renderStorageLogs() {
-    const logs = dbGetList(DB_KEYS.storageLogs).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 20);
-    const container = document.getElementById('storageLogList');
+  function saveSupplierPayment() {
+    const supplierId = document.getElementById('paymentSupplierId').value;
+    const date = document.getElementById('paymentDate').value;
+    const amount = Number(document.getElementById('paymentAmount').value);
+    const mode = document.getElementById('paymentMode').value;
+    const reference = document.getElementById('paymentReference').value.trim();
+    const notes = document.getElementById('paymentNotes').value.trim();
 
-    if (logs.length === 0) {
-      container.innerHTML = `
-        <div class="empty-state" style="padding:32px 0">
-          <div class="empty-icon">🏪</div>
-          <h4>No storage logs yet</h4>
-          <p>Start logging your milk storage</p>
-        </div>`;
+    if (!date || !(amount > 0)) {
+      toast('error', 'Validation Error', 'Payment date and a positive amount are required');
       return;
     }
 
-    container.innerHTML = logs.map(log => `
-      <div class="activity-item" style="padding:12px 0;">
-        <span class="activity-dot closing"></span>
-        <div style="flex:1;">
-          <div class="fw-bold" style="font-size:0.88rem;">
-            ${formatQty(log.quantity)} stored
-          </div>
-          <div class="text-muted" style="font-size:0.75rem;">
-            ${formatDate(log.date)} • ${formatTime(log.timestamp)}
-            ${log.notes ? '<br>' + escHtml(log.notes) : ''}
-          </div>
-        </div>
-        <span class="badge badge-accent">${formatQty(log.quantity)}</span>
-      </div>
-    `).join('');
+    if (addSupplierPayment(date, supplierId, amount, mode, reference, notes)) {
+      toast('success', 'Payment Recorded', `${formatCurrency(amount)} paid`);
+      closeModal('supplierPaymentModal');
+      showSupplierLedger(supplierId);
+      refreshSuppliers();
+    }
   }
 
-  function addStorageLog(date, quantity, notes) {
-    const log = {
-      id: generateId(),
-      date,
-      quantity: Number(quantity),
-      notes: notes || '',
-      timestamp: nowTimestamp(),
-    };
+  // =============== SUPPLIER SETTLEMENT ===============
+  function getCyclePeriod(cycle, dateStr) {
+    const day = Number(dateStr.slice(8, 10));
+    const monthStart = dateStr.slice(0, 8) + '01';
+    if (cycle === 'weekly') {
+      const offset = (new Date(dateStr + 'T00:00:00Z').getUTCDay() + 6) % 7;
+      const from = addDays(dateStr, -offset);
+      return { from, to: addDays(from, 6) };
+    }
+    if (cycle === 'tenday') {
+      if (day <= 10) return { from: monthStart, to: addDays(monthStart, 9) };
+      if (day <= 20) return { from: addDays(monthStart, 10), to: addDays(monthStart, 19) };
+      return { from: addDays(monthStart, 20), to: monthEnd(dateStr) };
+    }
+    return { from: monthStart, to: monthEnd(dateStr) };
+  }
 
-    const logs = dbGetList(DB_KEYS.storageLogs);
-    logs.push(log);
-    dbSet(DB_KEYS.storageLogs, logs);
+  // Amount due for a cycle = balance at the end of the cycle, less any
+  // settlement made afterwards against this cycle (or an earlier one).
+  function getSupplierStatement(supplierId, from, to) {
+    const ledger = getSupplierLedger(supplierId);
+    const before = ledger.filter(l => l.date < from);
+    const openingBalance = before.reduce((sum, l) => sum + l.credit - l.debit, 0);
+    const lines = ledger.filter(l => l.date >= from && (l.date <= to || (l.periodTo && l.periodTo <= to)));
+    const purchases = lines.reduce((sum, l) => sum + l.credit, 0);
+    const payments = lines.reduce((sum, l) => sum + l.debit, 0);
+    const delivered = dbGetList(DB_KEYS.stockEntries)
+      .filter(e => e.supplierId === supplierId && e.date >= from && e.date <= to && !e.voided);
+    const received = getProducts()
+      .map(product => ({
+        product,
+        quantity: delivered.filter(e => recordProduct(e) === product.id).reduce((sum, e) => sum + Number(e.quantity), 0),
+      }))
+      .filter(r => r.quantity > 0);
+
+    let balance = openingBalance;
+    const statementLines = lines.map(l => {
+      balance += l.credit - l.debit;
+      return { ...l, balance };
+    });
 
-    addActivity('closing', `Stored <strong>${formatQty(quantity)}</strong> in storage`);
-    return true;
+    return {
+      from,
+      to,
+      openingBalance,
+      received,
+      purchases,
+      payments,
+      amountDue: openingBalance + purchases - payments,
+      lines: statementLines,
+    };
   }
 
-  // =============== SALES ===============
-  function refreshSales() {
-    if (!document.getElementById('saleDate').value) {
-      document.getElementById('saleDate').value = todayStr();
-    }
-
-    const today = todayStr();
-    const allSales = dbGetList(DB_KEYS.sales);
-    const todaySales = allSales.filter(s => s.date === today);
-    const stock = dbGet(DB_KEYS.currentStock) || 0;
-    const todayStock = dbGetList(DB_KEYS.stockEntries).filter(s => s.date === today);
-    const todaySold = todaySales.reduce((sum, s) => sum + Number(s.quantity), 0);
-    const todayPurchased = todayStock.reduce((sum, s) => sum + Number(s.quantity), 0);
+  function formatReceived(received) {
+    return received.map(r => `${formatQty(r.quantity, r.product.unit)} ${r.product.name}`).join(', ') || 'Nothing';
+  }
 
-    const cashTotal = todaySales.filter(s => s.paymentMode === 'cash').reduce((sum, s) => sum + Number(s.amount), 0);
-    const upiTotal = todaySales.filter(s => s.paymentMode === 'upi').reduce((sum, s) => sum + Number(s.amount), 0);
+  function showSettleModal(supplierId) {
+    const suppliers = dbGetList(DB_KEYS.suppliers);
+    if (suppliers.length === 0) {
+      toast('warning', 'No Suppliers', 'Add a supplier before settling payments');
+      return;
+    }
 
-    document.getElementById('salesTotalCount').textContent = todaySales.length;
-    document.getElementById('salesTotalCash').textContent = formatCurrency(cashTotal);
-    document.getElementById('salesTotalUpi').textContent = formatCurrency(upiTotal);
-    document.getElementById('salesTotalRevenue').textContent = formatCurrency(cashTotal + upiTotal);
+    const select = document.getElementById('settleSupplier');
+    document.getElementById('settleForm').reset();
+    select.innerHTML = suppliers.map(s => `<option value="${s.id}">${escHtml(s.name)}</option>`).join('');
+    select.value = supplierId || suppliers[0].id;
+    document.getElementById('settleDate').value = todayStr();
+    onSettleSupplierChange();
+    openModal('settleModal');
+  }
 
-    document.getElementById('salesAvailStock').textContent = formatQty(stock);
-    document.getElementById('salesTodayPurchased').textContent = formatQty(todayPurchased);
-    document.getElementById('salesTodaySold').textContent = formatQty(todaySold);
+  function onSettleSupplierChange() {
+    const sup = dbGetList(DB_KEYS.suppliers).find(s => s.id === document.getElementById('settleSupplier').value);
+    document.getElementById('settleCycle').value = (sup && sup.settlementCycle) || 'weekly';
+    onSettleCycleChange();
+  }
 
-    renderSalesTable(allSales);
+  function onSettleCycleChange() {
+    // Default to the last completed cycle — that is what gets settled
+    const cycle = document.getElementById('settleCycle').value;
+    const current = getCyclePeriod(cycle, todayStr());
+    setSettlePeriod(getCyclePeriod(cycle, addDays(current.from, -1)));
   }
 
-  function renderSalesTable(salesList) {
-    const tbody = document.getElementById('salesTableBody');
-    const empty = document.getElementById('salesEmpty');
+  function shiftSettlePeriod(direction) {
+    const cycle = document.getElementById('settleCycle').value;
+    const from = document.getElementById('settleFrom').value;
+    const to = document.getElementById('settleTo').value;
+    if (!from || !to) return;
+    setSettlePeriod(getCyclePeriod(cycle, direction < 0 ? addDays(from, -1) : addDays(to, 1)));
+  }
 
-    if (!salesList) salesList = dbGetList(DB_KEYS.sales);
+  function setSettlePeriod(period) {
+    document.getElementById('settleFrom').value = period.from;
+    document.getElementById('settleTo').value = period.to;
+    renderSettleSummary();
+  }
 
-    // Sort by most recent
-    const sorted = [...salesList].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  function renderSettleSummary() {
+    const supplierId = document.getElementById('settleSupplier').value;
+    const from = document.getElementById('settleFrom').value;
+    const to = document.getElementById('settleTo').value;
+    if (!supplierId || !from || !to) return;
+
+    const st = getSupplierStatement(supplierId, from, to);
+    document.getElementById('settleQty').textContent = formatReceived(st.received);
+    document.getElementById('settleOpening').textContent = formatCurrency(st.openingBalance);
+    document.getElementById('settlePurchases').textContent = formatCurrency(st.purchases);
+    document.getElementById('settlePayments').textContent = formatCurrency(st.payments);
+    document.getElementById('settleDue').textContent = formatCurrency(st.amountDue);
+    document.getElementById('settleAmount').value = st.amountDue > 0 ? st.amountDue : '';
+  }
 
-    if (sorted.length === 0) {
-      tbody.innerHTML = '';
-      empty.style.display = '';
+  function saveSettlement() {
+    const supplierId = document.getElementById('settleSupplier').value;
+    const from = document.getElementById('settleFrom').value;
+    const to = document.getElementById('settleTo').value;
+    const date = document.getElementById('settleDate').value;
+    const amount = Number(document.getElementById('settleAmount').value);
+    const mode = document.getElementById('settleMode').value;
+    const reference = document.getElementById('settleReference').value.trim();
+
+    if (!from || !to || from > to) {
+      toast('error', 'Invalid Period', 'Please select a valid settlement period');
+      return;
+    }
+    if (!date || !(amount > 0)) {
+      toast('error', 'Validation Error', 'Payment date and a positive amount are required');
       return;
     }
 
-    empty.style.display = 'none';
-    tbody.innerHTML = sorted.slice(0, 50).map(s => `
-      <tr>
-        <td>${formatDate(s.date)}</td>
-        <td>${escHtml(s.customer || 'Walk-in')}</td>
-        <td class="fw-bold">${formatQty(s.quantity)}</td>
+    const notes = `Settlement for ${formatDate(from)} – ${formatDate(to)}`;
+    if (addSupplierPayment(date, supplierId, amount, mode, reference, notes, { periodFrom: from, periodTo: to })) {
+      toast('success', 'Supplier Settled', `${formatCurrency(amount)} paid for ${formatDateShort(from)} – ${formatDateShort(to)}`);
+      closeModal('settleModal');
+      refreshSuppliers();
+      printSupplierStatement(supplierId, from, to);
+    }
+  }
+
+  function printSettleStatement() {
+    const supplierId = document.getElementById('settleSupplier').value;
+    const from = document.getElementById('settleFrom').value;
+    const to = document.getElementById('settleTo').value;
+    if (!supplierId || !from || !to) return;
+    printSupplierStatement(supplierId, from, to);
+  }
+
+  function printSupplierStatement(supplierId, from, to) {
+    const sup = dbGetList(DB_KEYS.suppliers).find(s => s.id === supplierId);
+    if (!sup) return;
+    const st = getSupplierStatement(supplierId, from, to);
+
+    const rows = st.lines.map(l => `
+      <tr>
+        <td>${formatDate(l.date)}</td>
+        <td>${escHtml(l.description)}</td>
+        <td class="num">${l.credit ? formatCurrency(l.credit) : ''}</td>
+        <td class="num">${l.debit ? formatCurrency(l.debit) : ''}</td>
+        <td class="num">${formatCurrency(l.balance)}</td>
+      </tr>`).join('');
+
+    printDocument(`
+      ${printShopHeader()}
+      <h2>Supplier Payment Statement</h2>
+      <div class="print-meta">
+        <div><strong>${escHtml(sup.name)}</strong> • ${escHtml(sup.contact)}</div>
+        ${sup.paymentDetails ? `<div>Pay to: ${escHtml(sup.paymentDetails)}</div>` : ''}
+        <div>Period: ${formatDate(from)} – ${formatDate(to)} • Received: ${escHtml(formatReceived(st.received))}</div>
+      </div>
+      <table>
+        <thead>
+          <tr><th>Date</th><th>Particulars</th><th class="num">Purchase</th><th class="num">Paid</th><th class="num">Balance</th></tr>
+        </thead>
+        <tbody>
+          <tr><td>${formatDate(from)}</td><td>Balance brought forward</td><td></td><td></td><td class="num">${formatCurrency(st.openingBalance)}</td></tr>
+          ${rows}
+        </tbody>
+      </table>
+      <div class="print-totals">
+        <div><span>Purchases this period</span><span>${formatCurrency(st.purchases)}</span></div>
+        <div><span>Payments</span><span>${formatCurrency(st.payments)}</span></div>
+        <div class="grand"><span>${st.amountDue >= 0 ? 'Balance Due' : 'Advance Paid'}</span><span>${formatCurrency(Math.abs(st.amountDue))}</span></div>
+      </div>
+      <div class="print-signatures">
+        <span>Supplier Signature</span>
+        <span>For ${escHtml((dbGet(DB_KEYS.settings) || {}).shopName || '')}</span>
+      </div>
+      <p class="print-footer">Generated on ${formatDate(nowTimestamp())} at ${formatTime(nowTimestamp())}</p>
+    `);
+  }
+
+  // =============== RATE CHARTS (FAT/SNF PRICING) ===============
+  // A chart is either a formula (₹/L = fat% × fatRate + snf% × snfRate) or a
+  // fat × SNF table. Table lookups use the nearest row/column at or below the
+  // reading, the way printed dairy rate charts are read.
+  function getRateChartForSupplier(supplierId) {
+    const charts = dbGetList(DB_KEYS.rateCharts);
+    const sup = dbGetList(DB_KEYS.suppliers).find(s => s.id === supplierId);
+    const defaultId = (dbGet(DB_KEYS.settings) || {}).defaultRateChartId;
+    // A supplier whose chart has gone falls back to the shop default
+    return charts.find(c => c.id === (sup && sup.rateChartId)) || charts.find(c => c.id === defaultId) || null;
+  }
+
+  function computeRate(chart, fat, snf) {
+    fat = Number(fat);
+    snf = Number(snf) || 0;
+    if (chart.type === 'formula') {
+      const rate = fat * Number(chart.fatRate || 0) + snf * Number(chart.snfRate || 0);
+      return Math.round(rate * 100) / 100;
+    }
+    const { fatValues, snfValues, rates } = chart.table;
+    const row = fatValues.reduce((found, v, i) => (fat >= v ? i : found), -1);
+    const col = snfValues.reduce((found, v, i) => (snf >= v ? i : found), -1);
+    if (row < 0 || col < 0) return null;
+    return rates[row][col];
+  }
+
+  function parseRateTable(text) {
+    const rows = text.trim().split(/\r?\n/).map(line => line.split(',').map(c => c.trim()));
+    if (rows.length < 2 || rows[0].length < 2) return null;
+    const snfValues = rows[0].slice(1).map(Number);
+    const fatValues = rows.slice(1).map(r => Number(r[0]));
+    const rates = rows.slice(1).map(r => r.slice(1).map(Number));
+    const numbers = [...snfValues, ...fatValues, ...rates.flat()];
+    if (numbers.some(n => isNaN(n)) || rates.some(r => r.length !== snfValues.length)) return null;
+    return { fatValues, snfValues, rates };
+  }
+
+  function formatRateTable(table) {
+    if (!table) return '';
+    return ['Fat \\ SNF, ' + table.snfValues.join(', ')]
+      .concat(table.fatValues.map((fat, i) => [fat, ...table.rates[i]].join(', ')))
+      .join('\n');
+  }
+
+  function renderRateCharts() {
+    const charts = dbGetList(DB_KEYS.rateCharts);
+    const settings = dbGet(DB_KEYS.settings) || {};
+    const list = document.getElementById('rateChartList');
+    const select = document.getElementById('defaultRateChart');
+    if (!list) return;
+
+    select.innerHTML = '<option value="">None — enter cost manually</option>' +
+      charts.map(c => `<option value="${c.id}" ${c.id === settings.defaultRateChartId ? 'selected' : ''}>${escHtml(c.name)}</option>`).join('');
+
+    if (charts.length === 0) {
+      list.innerHTML = `
+        <div class="empty-state" style="padding:24px 0;">
+          <div class="empty-icon">🧪</div>
+          <h4>No rate charts</h4>
+          <p>Add a chart to price milk by fat and SNF automatically</p>
+        </div>`;
+      return;
+    }
+
+    list.innerHTML = charts.map(c => `
+      <div class="activity-item" style="padding:10px 0;">
+        <span class="activity-dot purchase"></span>
+        <div style="flex:1;">
+          <div class="fw-bold" style="font-size:0.88rem;">${escHtml(c.name)}</div>
+          <div class="text-muted" style="font-size:0.75rem;">
+            ${c.type === 'formula'
+              ? `₹${c.fatRate} per fat % + ₹${c.snfRate} per SNF %`
+              : `${c.table.fatValues.length} × ${c.table.snfValues.length} fat/SNF table`}
+          </div>
+        </div>
+        <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showRateChartModal('${c.id}')" title="Edit">✏️</button>
+        <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.deleteRateChartConfirm('${c.id}')" title="Delete">🗑️</button>
+      </div>
+    `).join('');
+  }
+
+  function showRateChartModal(editId) {
+    document.getElementById('rateChartForm').reset();
+    document.getElementById('rateChartId').value = '';
+    document.getElementById('rateChartModalTitle').textContent = 'Add Rate Chart';
+
+    const chart = editId && dbGetList(DB_KEYS.rateCharts).find(c => c.id === editId);
+    if (chart) {
+      document.getElementById('rateChartModalTitle').textContent = 'Edit Rate Chart';
+      document.getElementById('rateChartId').value = chart.id;
+      document.getElementById('rateChartName').value = chart.name;
+      document.getElementById('rateChartType').value = chart.type;
+      document.getElementById('rateChartFatRate').value = chart.fatRate || '';
+      document.getElementById('rateChartSnfRate').value = chart.snfRate || '';
+      document.getElementById('rateChartTable').value = formatRateTable(chart.table);
+    }
+    onRateChartTypeChange();
+    openModal('rateChartModal');
+  }
+
+  function onRateChartTypeChange() {
+    const isFormula = document.getElementById('rateChartType').value === 'formula';
+    document.getElementById('rateChartFormulaFields').style.display = isFormula ? '' : 'none';
+    document.getElementById('rateChartTableFields').style.display = isFormula ? 'none' : '';
+  }
+
+  function saveRateChart() {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can edit rate charts');
+      return;
+    }
+
+    const editId = document.getElementById('rateChartId').value;
+    const name = document.getElementById('rateChartName').value.trim();
+    const type = document.getElementById('rateChartType').value;
+    const chart = { id: editId || generateId(), name, type };
+
+    if (!name) {
+      toast('error', 'Validation Error', 'Chart name is required');
+      return;
+    }
+
+    if (type === 'formula') {
+      chart.fatRate = Number(document.getElementById('rateChartFatRate').value) || 0;
+      chart.snfRate = Number(document.getElementById('rateChartSnfRate').value) || 0;
+      if (!chart.fatRate) {
+        toast('error', 'Validation Error', 'Rate per fat % is required');
+        return;
+      }
+    } else {
+      chart.table = parseRateTable(document.getElementById('rateChartTable').value);
+      if (!chart.table) {
+        toast('error', 'Invalid Table', 'First row lists SNF values, each following row starts with a fat value');
+        return;
+      }
+    }
+
+    const charts = dbGetList(DB_KEYS.rateCharts);
+    const idx = charts.findIndex(c => c.id === chart.id);
+    if (idx >= 0) charts[idx] = chart; else charts.push(chart);
+    dbSet(DB_KEYS.rateCharts, charts);
+
+    MilkSecurity.auditLog('RATE_CHART_SAVED', `Saved rate chart: ${name}`, currentUser.username);
+    toast('success', 'Rate Chart Saved', `${name} has been saved`);
+    closeModal('rateChartModal');
+    renderRateCharts();
+  }
+
+  function deleteRateChartConfirm(id) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can edit rate charts');
+      return;
+    }
+    const chart = dbGetList(DB_KEYS.rateCharts).find(c => c.id === id);
+    if (!chart) return;
+    showConfirm('🗑️', 'Delete Rate Chart?', `Delete "${chart.name}"? Suppliers using it will fall back to the shop default.`, 'Delete', 'btn-danger', () => {
+      dbSet(DB_KEYS.rateCharts, dbGetList(DB_KEYS.rateCharts).filter(c => c.id !== id));
+      const settings = dbGet(DB_KEYS.settings) || {};
+      if (settings.defaultRateChartId === id) {
+        settings.defaultRateChartId = null;
+        dbSet(DB_KEYS.settings, settings);
+      }
+      const suppliers = dbGetList(DB_KEYS.suppliers);
+      if (suppliers.some(s => s.rateChartId === id)) {
+        suppliers.forEach(s => { if (s.rateChartId === id) s.rateChartId = null; });
+        dbSet(DB_KEYS.suppliers, suppliers);
+      }
+      MilkSecurity.auditLog('RATE_CHART_DELETED', `Deleted rate chart: ${chart.name}`, currentUser.username);
+      toast('success', 'Rate Chart Deleted', `${chart.name} has been removed`);
+      renderRateCharts();
+    });
+  }
+
+  function setDefaultRateChart(chartId) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can edit rate charts');
+      renderRateCharts();
+      return;
+    }
+    const settings = dbGet(DB_KEYS.settings) || {};
+    settings.defaultRateChartId = chartId || null;
+    dbSet(DB_KEYS.settings, settings);
+    const chart = dbGetList(DB_KEYS.rateCharts).find(c => c.id === chartId);
+    MilkSecurity.auditLog('DEFAULT_RATE_CHART_SET', chart ? `Shop default rate chart: ${chart.name}` : 'Shop default rate chart cleared', currentUser.username);
+    toast('success', 'Default Chart Updated', chartId ? 'New stock entries will be priced by fat/SNF' : 'Stock cost will be entered manually');
+  }
+
+  function updateStockCostPreview() {
+    const supplierId = document.getElementById('stockSupplier').value;
+    const qty = Number(document.getElementById('stockQty').value);
+    const fat = document.getElementById('stockFat').value;
+    const snf = document.getElementById('stockSnf').value;
+    const hint = document.getElementById('stockRateHint');
+    const chart = supplierId ? getRateChartForSupplier(supplierId) : null;
+
+    if (!chart || fat === '') {
+      hint.textContent = chart ? `Priced by "${chart.name}" — enter fat/SNF to calculate cost` : '';
+      return;
+    }
+    const rate = computeRate(chart, fat, snf);
+    if (rate === null) {
+      hint.textContent = `Fat/SNF reading is below the "${chart.name}" chart`;
+      return;
+    }
+    hint.textContent = `₹${rate}/L from "${chart.name}"`;
+    if (qty > 0) document.getElementById('stockCost').value = Math.round(qty * rate * 100) / 100;
+  }
+
+  // =============== STOCK MANAGEMENT ===============
+  function refreshStock() {
+    // Populate supplier dropdown
+    const suppliers = dbGetList(DB_KEYS.suppliers).filter(s => s.status === 'active');
+    const select = document.getElementById('stockSupplier');
+    const currentVal = select.value;
+    select.innerHTML = '<option value="">Select Supplier</option>' +
+      suppliers.map(s => `<option value="${s.id}" ${s.id === currentVal ? 'selected' : ''}>${escHtml(s.name)}</option>`).join('');
+
+    const productSelect = document.getElementById('stockProduct');
+    productSelect.innerHTML = productOptions(productSelect.value || MILK_PRODUCT_ID);
+    const storageSelect = document.getElementById('stockStorageUnit');
+    storageSelect.innerHTML = storageLocationOptions(storageSelect.value || SALE_READY);
+    onStockProductChange();
+
+    // Set default date
+    if (!document.getElementById('stockDate').value) {
+      document.getElementById('stockDate').value = todayStr();
+      document.getElementById('stockShift').value = currentShift();
+    }
+
+    // Render stock entries
+    renderStockEntries();
+    refreshAdjustments();
+  }
+
+  function renderStockEntries() {
+    const entries = dbGetList(DB_KEYS.stockEntries).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 20);
+    const container = document.getElementById('stockEntriesList');
+
+    if (entries.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state" style="padding:32px 0">
+          <div class="empty-icon">📦</div>
+          <h4>No stock entries yet</h4>
+          <p>Record your first milk purchase</p>
+        </div>`;
+      return;
+    }
+
+    const suppliers = dbGetList(DB_KEYS.suppliers);
+
+    container.innerHTML = entries.map(e => {
+      const sup = suppliers.find(s => s.id === e.supplierId);
+      const product = getProduct(recordProduct(e));
+      return `
+        <div class="activity-item" style="padding:12px 0;${e.voided ? 'opacity:0.5;' : ''}">
+          <span class="activity-dot ${e.voided ? 'alert' : 'purchase'}"></span>
+          <div style="flex:1;">
+            <div class="fw-bold" style="font-size:0.88rem;${e.voided ? 'text-decoration:line-through;' : ''}">
+              ${formatQty(e.quantity, product.unit)} ${escHtml(product.name)} from ${escHtml(sup ? sup.name : 'Unknown')}
+              ${e.storageUnitId ? ` → ${escHtml(storageLocationName(e.storageUnitId))}` : ''}
+            </div>
+            <div class="text-muted" style="font-size:0.75rem;">
+              ${formatDate(e.date)} • ${SHIFTS[recordShift(e)]} • ${formatCurrency(getEntryPaidAmount(e))} paid
+              ${Number(e.cost) > getEntryPaidAmount(e) ? ' • ' + formatCurrency(Number(e.cost) - getEntryPaidAmount(e)) + ' on credit' : ''}
+              ${e.fat !== undefined && e.fat !== null ? ` • Fat ${e.fat}% / SNF ${e.snf || '—'}%${e.rate != null ? ` @ ₹${e.rate}/L` : ''}` : ''}
+              ${e.notes ? ' • ' + escHtml(e.notes) : ''}
+              ${e.voided ? `<br>🚫 Void by ${escHtml(e.voidedBy || '')}: ${escHtml(e.voidReason || '')}` : ''}
+              ${e.revisions && e.revisions.length ? `<br>✏️ Edited ${e.revisions.length}× — last: ${escHtml(e.revisions[e.revisions.length - 1].reason)}` : ''}
+              ${Number(e.remaining) > 0 ? `<br>${formatQty(e.remaining, product.unit)} left • ${getBatchStatus(e) === 'expired' ? '⚠️ expired' : 'use by'} ${formatDateShort(e.expiresAt.slice(0, 10))} ${formatTime(e.expiresAt)}` : ''}
+            </div>
+          </div>
+          <div style="text-align:right;">
+            <span class="badge ${e.voided ? 'badge-danger' : 'badge-primary'}">${e.voided ? 'Void' : formatCurrency(e.cost)}</span>
+            ${e.voided || isDayLocked(e.date) ? '' : `
+            <div class="mt-sm">
+              <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showStockEdit('${e.id}')" title="Edit">✏️</button>
+              <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showVoid('stock', '${e.id}')" title="Void">🚫</button>
+            </div>`}
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  function onStockProductChange() {
+    // Fat/SNF pricing only applies to raw milk
+    const isMilk = document.getElementById('stockProduct').value === MILK_PRODUCT_ID;
+    document.getElementById('stockFatSnfRow').style.display = isMilk ? '' : 'none';
+    document.getElementById('stockStorageGroup').style.display = isMilk ? '' : 'none';
+    const product = getProduct(document.getElementById('stockProduct').value);
+    document.getElementById('stockQtyLabel').textContent = `Quantity (${UNITS[product.unit] || product.unit})`;
+  }
+
+  function addStockEntry(date, supplierId, quantity, cost, notes, details = {}) {
+    const shift = details.shift || currentShift();
+    const productId = details.productId || MILK_PRODUCT_ID;
+    const product = getProduct(productId);
+    if (isDayLocked(date)) {
+      toast('error', 'Day Locked', 'Cannot add entries for a closed day');
+      return false;
+    }
+    if (isShiftLocked(date, shift)) {
+      toast('error', 'Shift Locked', `The ${SHIFTS[shift]} shift is locked for this day`);
+      return false;
+    }
+
+    // Fat/SNF readings price the entry from the supplier's rate chart
+    let fat = null, snf = null, rate = null, rateChartId = null;
+    if (productId === MILK_PRODUCT_ID && details.fat !== undefined && details.fat !== '') {
+      fat = Number(details.fat);
+      snf = details.snf !== undefined && details.snf !== '' ? Number(details.snf) : null;
+      const chart = getRateChartForSupplier(supplierId);
+      if (chart) {
+        rate = computeRate(chart, fat, snf);
+        if (rate === null) {
+          toast('error', 'Outside Rate Chart', `Fat/SNF reading is below the "${chart.name}" chart`);
+          return false;
+        }
+        rateChartId = chart.id;
+        cost = Math.round(Number(quantity) * rate * 100) / 100;
+      }
+    }
+
+    const paidAmount = Number(details.paidAmount) || 0;
+    if (paidAmount > Number(cost)) {
+      toast('error', 'Validation Error', 'Amount paid cannot exceed the total cost');
+      return false;
+    }
+
+    // Milk can go straight into a storage unit instead of the counter
+    const storageUnitId = productId === MILK_PRODUCT_ID && details.storageUnitId && details.storageUnitId !== SALE_READY
+      ? details.storageUnitId
+      : null;
+    const unit = storageUnitId && getStorageUnits().find(u => u.id === storageUnitId);
+    if (unit && unit.capacity && getUnitLevel(unit.id) + Number(quantity) > Number(unit.capacity) + 0.0005) {
+      toast('error', 'Over Capacity', `${unit.name} can take only ${formatQty(Number(unit.capacity) - getUnitLevel(unit.id))} more`);
+      return false;
+    }
+
+    const receivedAt = receivedTime(date, shift);
+    const shelfLifeHours = getShelfLifeHours(productId);
+
+    const entry = {
+      id: generateId(),
+      date,
+      supplierId,
+      productId,
+      quantity: Number(quantity),
+      cost: Number(cost),
+      paidAmount,
+      fat,
+      snf,
+      rate,
+      rateChartId,
+      storageUnitId,
+      shift,
+      receivedAt,
+      shelfLifeHours,
+      expiresAt: new Date(new Date(receivedAt).getTime() + shelfLifeHours * 3600000).toISOString(),
+      remaining: Number(quantity),
+      notes: notes || '',
+      timestamp: nowTimestamp(),
+    };
+
+    const entries = dbGetList(DB_KEYS.stockEntries);
+    entries.push(entry);
+    dbSet(DB_KEYS.stockEntries, entries);
+
+    // Update current stock
+    adjustStock(productId, Number(quantity));
+
+    const sup = dbGetList(DB_KEYS.suppliers).find(s => s.id === supplierId);
+    addActivity('purchase', `Received <strong>${formatQty(quantity, product.unit)} ${escHtml(product.name)}</strong> from <strong>${sup ? sup.name : 'Unknown'}</strong>`);
+
+    return true;
+  }
+
+  // =============== STOCK ADJUSTMENTS ===============
+  // Losses and physical counts that correct current stock outside of
+  // purchases and sales. Quantity is stored as a signed delta.
+  const ADJUSTMENT_REASONS = {
+    spoilage: '🦠 Spoilage',
+    spillage: '💧 Spillage',
+    sample: '🧪 Sample / Tasting',
+    count: '📏 Measured Count',
+  };
+
+  // Weighted average purchase cost; made products are costed from the milk they use
+  function getUnitCost(productId) {
+    const entries = dbGetList(DB_KEYS.stockEntries).filter(e => recordProduct(e) === productId && !e.voided);
+    const qty = entries.reduce((sum, e) => sum + Number(e.quantity), 0);
+    if (qty > 0) return entries.reduce((sum, e) => sum + Number(e.cost), 0) / qty;
+
+    const product = getProduct(productId);
+    if (productId !== MILK_PRODUCT_ID && product.yieldPerLitre) {
+      return getUnitCost(MILK_PRODUCT_ID) / Number(product.yieldPerLitre);
+    }
+    return 0;
+  }
+
+  function refreshAdjustments() {
+    if (!document.getElementById('adjustDate').value) {
+      document.getElementById('adjustDate').value = todayStr();
+      document.getElementById('adjustShift').value = currentShift();
+    }
+    const productSelect = document.getElementById('adjustProduct');
+    productSelect.innerHTML = productOptions(productSelect.value || MILK_PRODUCT_ID);
+    const reasonSelect = document.getElementById('adjustReason');
+    if (!reasonSelect.options.length) {
+      reasonSelect.innerHTML = Object.entries(ADJUSTMENT_REASONS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+    }
+    updateAdjustmentHint();
+    renderAdjustments();
+  }
+
+  function updateAdjustmentHint() {
+    const productId = document.getElementById('adjustProduct').value || MILK_PRODUCT_ID;
+    const product = getProduct(productId);
+    const unit = UNITS[product.unit] || product.unit;
+    const isCount = document.getElementById('adjustReason').value === 'count';
+    const stock = getStockOn(productId, document.getElementById('adjustDate').value || todayStr());
+    const qty = Number(document.getElementById('adjustQty').value);
+
+    document.getElementById('adjustCurrentStock').textContent = formatQty(stock, product.unit);
+    document.getElementById('adjustQtyLabel').textContent = isCount ? `Measured Quantity (${unit})` : `Quantity Lost (${unit})`;
+
+    const hint = document.getElementById('adjustHint');
+    if (document.getElementById('adjustQty').value === '') {
+      hint.textContent = isCount ? `System stock is ${formatQty(stock, product.unit)}. Enter what you actually measured.` : '';
+      return;
+    }
+    const delta = isCount ? qty - stock : -qty;
+    hint.textContent = `Stock ${delta >= 0 ? '+' : ''}${formatQty(delta, product.unit)} → ${formatQty(stock + delta, product.unit)} • Value ${formatCurrency(-delta * getUnitCost(productId))}`;
+  }
+
+  function renderAdjustments() {
+    const adjustments = dbGetList(DB_KEYS.stockAdjustments).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 20);
+    const container = document.getElementById('adjustmentList');
+
+    if (adjustments.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state" style="padding:32px 0">
+          <div class="empty-icon">⚖️</div>
+          <h4>No adjustments yet</h4>
+          <p>Record spoilage, spillage, samples or a physical count</p>
+        </div>`;
+      return;
+    }
+
+    container.innerHTML = adjustments.map(a => {
+      const product = getProduct(recordProduct(a));
+      return `
+        <div class="activity-item" style="padding:12px 0;">
+          <span class="activity-dot alert"></span>
+          <div style="flex:1;">
+            <div class="fw-bold" style="font-size:0.88rem;">
+              ${ADJUSTMENT_REASONS[a.reason] || a.reason} • ${a.quantity > 0 ? '+' : ''}${formatQty(a.quantity, product.unit)} ${escHtml(product.name)}
+            </div>
+            <div class="text-muted" style="font-size:0.75rem;">
+              ${formatDate(a.date)} • ${SHIFTS[recordShift(a)]} • ${escHtml(a.recordedBy || '')}
+              ${a.reason === 'count' ? ` • Counted ${formatQty(a.countedQuantity, product.unit)} vs ${formatQty(a.systemQuantity, product.unit)}` : ''}
+              ${a.notes ? ' • ' + escHtml(a.notes) : ''}
+            </div>
+          </div>
+          <span class="badge ${a.costValue > 0 ? 'badge-danger' : 'badge-success'}">${formatCurrency(a.costValue)}</span>
+        </div>`;
+    }).join('');
+  }
+
+  function addStockAdjustment(date, productId, reason, quantity, notes, details = {}) {
+    const shift = details.shift || currentShift();
+    const product = getProduct(productId);
+    if (isDayLocked(date)) {
+      toast('error', 'Day Locked', 'Cannot adjust stock for a closed day');
+      return false;
+    }
+    if (isShiftLocked(date, shift)) {
+      toast('error', 'Shift Locked', `The ${SHIFTS[shift]} shift is locked for this day`);
+      return false;
+    }
+    if (!ADJUSTMENT_REASONS[reason]) {
+      toast('error', 'Validation Error', 'Select a reason for the adjustment');
+      return false;
+    }
+
+    // A measured count replaces system stock on that date; every other reason is a loss
+    const systemQuantity = getStockOn(productId, date);
+    const delta = reason === 'count' ? Number(quantity) - systemQuantity : -Number(quantity);
+    if (reason !== 'count' && Number(quantity) > systemQuantity) {
+      toast('error', 'Insufficient Stock', `Only ${formatQty(systemQuantity, product.unit)} of ${product.name} in stock`);
+      return false;
+    }
+    if (Math.abs(delta) < 0.0005) {
+      toast('info', 'No Change', `Measured stock matches the system (${formatQty(systemQuantity, product.unit)})`);
+      return false;
+    }
+    if (delta < 0 && -delta > getSellableStock(productId)) {
+      toast('error', 'Insufficient Stock', insufficientSellableMessage(product));
+      return false;
+    }
+
+    const unitCost = getUnitCost(productId);
+    const adjustment = {
+      id: generateId(),
+      date,
+      shift,
+      productId,
+      reason,
+      quantity: Math.round(delta * 1000) / 1000,
+      systemQuantity,
+      countedQuantity: reason === 'count' ? Number(quantity) : null,
+      unitCost: Math.round(unitCost * 100) / 100,
+      costValue: Math.round(-delta * unitCost * 100) / 100,
+      notes: notes || '',
+      recordedBy: currentUser?.username,
+      timestamp: nowTimestamp(),
+    };
+
+    // Losses come out of the oldest milk first; a count that finds more goes back on the newest batch
+    adjustment.batches = delta < 0 ? consumeBatches(productId, -delta) : restockBatch(productId, delta);
+
+    const adjustments = dbGetList(DB_KEYS.stockAdjustments);
+    adjustments.push(adjustment);
+    dbSet(DB_KEYS.stockAdjustments, adjustments);
+
+    adjustStock(productId, delta);
+
+    addActivity('alert', `Stock adjusted (${ADJUSTMENT_REASONS[reason]}): <strong>${delta > 0 ? '+' : ''}${formatQty(delta, product.unit)} ${escHtml(product.name)}</strong> — ${formatCurrency(adjustment.costValue)}`);
+    return adjustment;
+  }
+
+  // =============== STOCK LEDGER ===============
+  // Stock is the sum of every movement on record up to a date. Storage
+  // transfers only move milk between places, so they never change the total.
+  // `mf_current_stock` is still maintained as a stored counter; the integrity
+  // check compares it with the ledger and resyncs it from the ledger.
+  function getStockMovements(productId) {
+    return getLedger().movements[productId] || [];
+  }
+
+  // One pass over the source lists gives every product's movements and its
+  // running balance at the end of each day. Reused until one of them is written.
+  function getLedger() {
+    if (ledgerCache) return ledgerCache;
+
+    const movements = {};
+    const add = (productId, date, type, quantity) => {
+      (movements[productId] = movements[productId] || []).push({ date, type, quantity });
+    };
+    dbGetList(DB_KEYS.stockEntries).filter(e => !e.voided).forEach(e => {
+      add(recordProduct(e), e.date, 'purchase', Number(e.quantity));
+    });
+    dbGetList(DB_KEYS.sales).filter(isCountedSale).forEach(s => {
+      add(recordProduct(s), s.date, 'sale', -Number(s.quantity));
+    });
+    dbGetList(DB_KEYS.productions).forEach(b => {
+      add(b.inputProductId, b.date, 'production', -Number(b.inputQuantity));
+      add(b.outputProductId, b.date, 'production', Number(b.outputQuantity));
+    });
+    dbGetList(DB_KEYS.stockAdjustments).forEach(a => {
+      add(recordProduct(a), a.date, 'adjustment', Number(a.quantity));
+    });
+
+    const balances = {};
+    Object.entries(movements).forEach(([productId, moves]) => {
+      const byDate = {};
+      moves.forEach(m => { byDate[m.date] = (byDate[m.date] || 0) + m.quantity; });
+      let running = 0;
+      balances[productId] = Object.keys(byDate).sort().map(date => {
+        running += byDate[date];
+        return { date, balance: running };
+      });
+    });
+
+    ledgerCache = { movements, balances };
+    return ledgerCache;
+  }
+
+  // Stock at the end of `date`; without a date, everything on record
+  function getStockOn(productId, date) {
+    const days = getLedger().balances[productId] || [];
+    // Last day on or before `date`
+    let lo = 0, hi = days.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (!date || days[mid].date <= date) lo = mid + 1; else hi = mid;
+    }
+    const total = lo ? days[lo - 1].balance : 0;
+    return Math.round(total * 1000) / 1000;
+  }
+
+  function checkStockIntegrity() {
+    const stored = dbGet(DB_KEYS.currentStock) || {};
+    return getProducts().map(p => {
+      const ledger = getStockOn(p.id);
+      const counter = Number(stored[p.id]) || 0;
+      return { productId: p.id, stored: counter, ledger, difference: Math.round((counter - ledger) * 1000) / 1000 };
+    });
+  }
+
+  function renderStockIntegrity(report) {
+    const mismatches = report.filter(r => Math.abs(r.difference) >= 0.0005);
+    document.getElementById('stockIntegrityResult').innerHTML = `
+      <p class="${mismatches.length ? 'text-warning' : 'text-success'} mb-md" style="font-size:0.85rem;">
+        ${mismatches.length ? `⚠️ ${mismatches.length} product(s) differ from the ledger` : '✅ Stored stock matches the ledger'}
+      </p>
+      <div class="table-wrapper">
+        <table>
+          <thead><tr><th>Product</th><th>Stored</th><th>Ledger</th><th>Difference</th></tr></thead>
+          <tbody>
+            ${report.map(r => {
+              const product = getProduct(r.productId);
+              return `
+                <tr>
+                  <td class="fw-bold">${escHtml(product.name)}</td>
+                  <td>${formatQty(r.stored, product.unit)}</td>
+                  <td>${formatQty(r.ledger, product.unit)}</td>
+                  <td class="${Math.abs(r.difference) >= 0.0005 ? 'text-danger fw-bold' : 'text-muted'}">${r.difference > 0 ? '+' : ''}${formatQty(r.difference, product.unit)}</td>
+                </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>`;
+  }
+
+  function rebuildStock() {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can rebuild stock');
+      return;
+    }
+
+    const report = checkStockIntegrity();
+    renderStockIntegrity(report);
+    const mismatches = report.filter(r => Math.abs(r.difference) >= 0.0005);
+    if (!mismatches.length) {
+      toast('success', 'Stock Verified', 'Stored stock matches the ledger for every product');
+      return;
+    }
+
+    const summary = mismatches.map(r => `${getProduct(r.productId).name}: ${formatQty(r.stored, getProduct(r.productId).unit)} → ${formatQty(r.ledger, getProduct(r.productId).unit)}`).join(', ');
+    showConfirm('🧮', 'Resync Stored Stock?', `Stored stock differs from the ledger (${summary}). The ledger is the record; replace the stored values with the ledger figures?`, '🔄 Resync', 'btn-warning', () => {
+      const stock = dbGet(DB_KEYS.currentStock) || {};
+      checkStockIntegrity().forEach(r => { stock[r.productId] = r.ledger; });
+      dbSet(DB_KEYS.currentStock, stock);
+      MilkSecurity.auditLog('STOCK_REBUILT', `Stored stock resynced from ledger — ${summary}`, currentUser.username);
+      toast('success', 'Stock Resynced', 'Stored stock now matches the ledger');
+      renderStockIntegrity(checkStockIntegrity());
+    });
+  }
+
+  // =============== BATCHES (FIFO) ===============
+  // Every stock entry is a batch with its received time and shelf life.
+  // Stock leaving the shop draws from the oldest open batch first. Entries
+  // saved before batch tracking carry no `remaining` and are left out.
+  const DEFAULT_SHELF_LIFE_HOURS = 48;
+  const EXPIRY_WARNING_HOURS = 12;
+
+  function getShelfLifeHours(productId) {
+    return Number(getProduct(productId).shelfLifeHours) || DEFAULT_SHELF_LIFE_HOURS;
+  }
+
+  // Back-dated entries are placed at the start of their shift in local time,
+  // the same clock shiftForTime reads
+  function receivedTime(date, shift) {
+    if (date === todayStr()) return nowTimestamp();
+    return new Date(`${date}T${shift === 'evening' ? '17' : '06'}:00:00`).toISOString();
+  }
+
+  function getOpenBatches(productId, entries = dbGetList(DB_KEYS.stockEntries)) {
+    return entries
+      .filter(e => (!productId || recordProduct(e) === productId) && Number(e.remaining) > 0 && !e.voided)
+      .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+  }
+
+  // Returns the allocations so the movement can be undone later
+  function consumeBatches(productId, quantity) {
+    const entries = dbGetList(DB_KEYS.stockEntries);
+    const used = [];
+    let left = Number(quantity);
+    for (const entry of getOpenBatches(productId, entries)) {
+      if (left < 0.0005) break;
+      const take = Math.min(Number(entry.remaining), left);
+      entry.remaining = Math.round((Number(entry.remaining) - take) * 1000) / 1000;
+      left -= take;
+      used.push({ entryId: entry.id, quantity: Math.round(take * 1000) / 1000 });
+    }
+    dbSet(DB_KEYS.stockEntries, entries);
+    return used;
+  }
+
+  function returnBatches(allocations) {
+    if (!allocations || !allocations.length) return;
+    const entries = dbGetList(DB_KEYS.stockEntries);
+    allocations.forEach(a => {
+      const entry = entries.find(e => e.id === a.entryId);
+      if (entry) entry.remaining = Math.round((Number(entry.remaining) + Number(a.quantity)) * 1000) / 1000;
+    });
+    dbSet(DB_KEYS.stockEntries, entries);
+  }
+
+  function restockBatch(productId, quantity) {
+    const entries = dbGetList(DB_KEYS.stockEntries);
+    const newest = entries
+      .filter(e => recordProduct(e) === productId && e.remaining !== undefined && !e.voided)
+      .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))[0];
+    if (!newest) return [];
+    newest.remaining = Math.round((Number(newest.remaining) + Number(quantity)) * 1000) / 1000;
+    dbSet(DB_KEYS.stockEntries, entries);
+    return [{ entryId: newest.id, quantity: -Math.round(Number(quantity) * 1000) / 1000 }];
+  }
+
+  function getBatchStatus(entry, now = Date.now()) {
+    const hoursLeft = (new Date(entry.expiresAt) - now) / 3600000;
+    if (hoursLeft <= 0) return 'expired';
+    if (hoursLeft <= EXPIRY_WARNING_HOURS) return 'expiring';
+    return 'fresh';
+  }
+
+  function getExpiryAlerts() {
+    return getOpenBatches().filter(e => getBatchStatus(e) !== 'fresh');
+  }
+
+  // Leftover from batches received before the given day, as reported at closing
+  function getAgedStock(date) {
+    const batches = getOpenBatches().filter(e => e.receivedAt.slice(0, 10) < date || getBatchStatus(e) === 'expired');
+    const milk = batches.filter(e => recordProduct(e) === MILK_PRODUCT_ID);
+    return {
+      quantity: milk.reduce((sum, e) => sum + Number(e.remaining), 0),
+      expiredQuantity: milk.filter(e => getBatchStatus(e) === 'expired').reduce((sum, e) => sum + Number(e.remaining), 0),
+      batches: batches.map(e => ({
+        entryId: e.id,
+        productId: recordProduct(e),
+        receivedAt: e.receivedAt,
+        expiresAt: e.expiresAt,
+        remaining: Number(e.remaining),
+        status: getBatchStatus(e),
+      })),
+    };
+  }
+
+  function renderExpiryAlerts() {
+    const alerts = getExpiryAlerts();
+    const card = document.getElementById('dashExpiryCard');
+    card.style.display = alerts.length ? '' : 'none';
+    if (!alerts.length) return;
+
+    const suppliers = dbGetList(DB_KEYS.suppliers);
+    document.getElementById('dashExpiryList').innerHTML = alerts.map(e => {
+      const product = getProduct(recordProduct(e));
+      const sup = suppliers.find(s => s.id === e.supplierId);
+      const expired = getBatchStatus(e) === 'expired';
+      return `
+        <div class="activity-item" style="padding:10px 0;">
+          <span class="activity-dot alert"></span>
+          <div style="flex:1;">
+            <div class="fw-bold" style="font-size:0.88rem;">
+              ${formatQty(e.remaining, product.unit)} ${escHtml(product.name)} from ${escHtml(sup ? sup.name : 'Unknown')}
+            </div>
+            <div class="text-muted" style="font-size:0.75rem;">
+              Received ${formatDateShort(e.receivedAt.slice(0, 10))} ${formatTime(e.receivedAt)} •
+              ${expired ? 'Expired' : 'Expires'} ${formatDateShort(e.expiresAt.slice(0, 10))} ${formatTime(e.expiresAt)}
+            </div>
+          </div>
+          <span class="badge ${expired ? 'badge-danger' : 'badge-warning'}">${expired ? 'Expired' : 'Use first'}</span>
+        </div>`;
+    }).join('');
+  }
+
+  // =============== PRICE LISTS ===============
+  // Each list keeps a dated history of rates per product. A sale uses the
+  // latest rate effective on its date and stores it, so later price changes
+  // never touch past sales.
+  const DEFAULT_PRICE_LIST_ID = 'retail';
+
+  function getPriceList(priceListId) {
+    const lists = dbGetList(DB_KEYS.priceLists);
+    return lists.find(l => l.id === priceListId) ||
+      lists.find(l => l.id === ((dbGet(DB_KEYS.settings) || {}).defaultPriceListId || DEFAULT_PRICE_LIST_ID)) || null;
+  }
+
+  function getPriceOn(productId, date, priceListId) {
+    const list = getPriceList(priceListId);
+    const rate = list && list.rates
+      .filter(r => r.productId === productId && r.effectiveFrom <= date)
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.setAt.localeCompare(a.setAt))[0];
+    return rate ? Number(rate.price) : getProductPrice(productId);
+  }
+
+  // A subscriber's fixed price wins for their plan product, then their list
+  function getSaleRate(productId, date, customerId) {
+    const c = customerId && dbGetList(DB_KEYS.customers).find(x => x.id === customerId);
+    if (c && c.productId === productId && c.price !== null && c.price !== undefined && c.price !== '') {
+      return { rate: Number(c.price), priceListId: null, label: 'Fixed price' };
+    }
+    const list = getPriceList(c ? c.priceListId : null);
+    return { rate: getPriceOn(productId, date, list && list.id), priceListId: list ? list.id : null, label: list ? list.name : 'Base price' };
+  }
+
+  function priceListOptions(selectedId) {
+    const defaultId = (dbGet(DB_KEYS.settings) || {}).defaultPriceListId || DEFAULT_PRICE_LIST_ID;
+    return dbGetList(DB_KEYS.priceLists)
+      .map(l => `<option value="${l.id}" ${l.id === (selectedId || defaultId) ? 'selected' : ''}>${escHtml(l.name)}</option>`)
+      .join('');
+  }
+
+  function renderPriceLists() {
+    const container = document.getElementById('priceListList');
+    if (!container) return;
+    const today = todayStr();
+    const products = getProducts(true);
+    document.getElementById('defaultPriceList').innerHTML = priceListOptions();
+
+    container.innerHTML = dbGetList(DB_KEYS.priceLists).map(l => {
+      const current = products.map(p => `${escHtml(p.name)} ${formatCurrency(getPriceOn(p.id, today, l.id))}`).join(' • ');
+      const upcoming = l.rates.filter(r => r.effectiveFrom > today)
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))
+        .map(r => `${escHtml(getProduct(r.productId).name)} ${formatCurrency(r.price)} from ${formatDateShort(r.effectiveFrom)}`);
+      return `
+        <div class="activity-item" style="padding:10px 0;">
+          <span class="activity-dot sale"></span>
+          <div style="flex:1;">
+            <div class="fw-bold" style="font-size:0.88rem;">${escHtml(l.name)}</div>
+            <div class="text-muted" style="font-size:0.75rem;">${current}</div>
+            ${upcoming.length ? `<div class="text-warning" style="font-size:0.72rem;">Upcoming: ${upcoming.join(', ')}</div>` : ''}
+          </div>
+          <button class="btn btn-ghost btn-sm" onclick="MilkApp.showPriceChangeModal('${l.id}')">💲 Change Price</button>
+        </div>`;
+    }).join('');
+  }
+
+  function addPriceList() {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can manage price lists');
+      return;
+    }
+    const input = document.getElementById('newPriceListName');
+    const name = input.value.trim();
+    if (!name) {
+      toast('error', 'Validation Error', 'Enter a name for the price list');
+      return;
+    }
+    const lists = dbGetList(DB_KEYS.priceLists);
+    if (lists.some(l => l.name.toLowerCase() === name.toLowerCase())) {
+      toast('error', 'Duplicate Name', `A price list named ${name} already exists`);
+      return;
+    }
+    lists.push({ id: generateId(), name, rates: [], createdAt: nowTimestamp() });
+    dbSet(DB_KEYS.priceLists, lists);
+    input.value = '';
+    toast('success', 'Price List Added', `${name} uses base prices until you set its rates`);
+    renderPriceLists();
+  }
+
+  function setDefaultPriceList(priceListId) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can manage price lists');
+      renderPriceLists();
+      return;
+    }
+    const settings = dbGet(DB_KEYS.settings) || {};
+    settings.defaultPriceListId = priceListId;
+    dbSet(DB_KEYS.settings, settings);
+    MilkSecurity.auditLog('DEFAULT_PRICE_LIST_SET', `Walk-in price list: ${getPriceList(priceListId).name}`, currentUser.username);
+    toast('success', 'Default List Updated', `Walk-in sales now use the ${getPriceList(priceListId).name} list`);
+  }
+
+  function showPriceChangeModal(priceListId) {
+    const list = getPriceList(priceListId);
+    if (!list) return;
+    document.getElementById('priceChangeForm').reset();
+    document.getElementById('priceChangeListId').value = list.id;
+    document.getElementById('priceChangeListName').textContent = list.name;
+    document.getElementById('priceChangeProduct').innerHTML = productOptions(MILK_PRODUCT_ID);
+    document.getElementById('priceChangeFrom').value = todayStr();
+    onPriceChangeProductChange();
+    openModal('priceChangeModal');
+  }
+
+  function onPriceChangeProductChange() {
+    const listId = document.getElementById('priceChangeListId').value;
+    const productId = document.getElementById('priceChangeProduct').value;
+    const list = getPriceList(listId);
+    document.getElementById('priceChangeHistory').innerHTML = list.rates
+      .filter(r => r.productId === productId)
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))
+      .map(r => `
+        <div class="report-row">
+          <span class="label">From ${formatDate(r.effectiveFrom)}</span>
+          <span class="value">${formatCurrency(r.price)}</span>
+        </div>`).join('') ||
+      `<p class="text-muted" style="font-size:0.82rem;">No rates set — using base price ${formatCurrency(getProductPrice(productId))}</p>`;
+  }
+
+  function savePriceChange() {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can change prices');
+      return;
+    }
+    const listId = document.getElementById('priceChangeListId').value;
+    const productId = document.getElementById('priceChangeProduct').value;
+    const price = Number(document.getElementById('priceChangePrice').value);
+    const effectiveFrom = document.getElementById('priceChangeFrom').value;
+
+    if (!effectiveFrom || !(price > 0)) {
+      toast('error', 'Validation Error', 'Enter a price and the date it takes effect');
+      return;
+    }
+
+    const lists = dbGetList(DB_KEYS.priceLists);
+    const list = lists.find(l => l.id === listId);
+    if (!list) return;
+    const product = getProduct(productId);
+    list.rates.push({ productId, price, effectiveFrom, setBy: currentUser.username, setAt: nowTimestamp() });
+    dbSet(DB_KEYS.priceLists, lists);
+
+    MilkSecurity.auditLog('PRICE_CHANGED', `${list.name}: ${product.name} ${formatCurrency(price)} from ${effectiveFrom}`, currentUser.username);
+    toast('success', 'Price Updated', `${list.name} ${product.name} is ${formatCurrency(price)} from ${formatDate(effectiveFrom)}`);
+    closeModal('priceChangeModal');
+    renderPriceLists();
+  }
+
+  // =============== PRODUCTION ===============
+  // A batch is an internal transfer: milk stock goes down, the derived
+  // product's stock goes up. Nothing is bought or sold.
+  function refreshProduction() {
+    if (!document.getElementById('productionDate').value) {
+      document.getElementById('productionDate').value = todayStr();
+      document.getElementById('productionShift').value = currentShift();
+    }
+    const select = document.getElementById('productionOutput');
+    const current = select.value;
+    select.innerHTML = '<option value="">Select Product</option>' + getProducts(true)
+      .filter(p => p.id !== MILK_PRODUCT_ID)
+      .map(p => `<option value="${p.id}" ${p.id === current ? 'selected' : ''}>${escHtml(p.name)} (${UNITS[p.unit] || p.unit})</option>`)
+      .join('');
+    document.getElementById('productionMilkStock').textContent = formatQty(getSellableStock(MILK_PRODUCT_ID));
+    updateProductionYield();
+    renderProductions();
+  }
+
+  function updateProductionYield() {
+    const product = getProducts().find(p => p.id === document.getElementById('productionOutput').value);
+    const inputQty = Number(document.getElementById('productionInputQty').value);
+    const outputInput = document.getElementById('productionOutputQty');
+    const hint = document.getElementById('productionYieldHint');
+
+    document.getElementById('productionOutputLabel').textContent = `Quantity Produced (${product ? UNITS[product.unit] || product.unit : 'units'})`;
+    // Suggest output from the product's usual yield until staff type their own figure
+    if (product && product.yieldPerLitre && inputQty > 0 && document.activeElement !== outputInput) {
+      outputInput.value = Math.round(inputQty * product.yieldPerLitre * 100) / 100;
+    }
+    const outputQty = Number(outputInput.value);
+    hint.textContent = inputQty > 0 && outputQty > 0
+      ? `Yield: ${(outputQty / inputQty).toFixed(3)} ${product ? UNITS[product.unit] || product.unit : ''} per litre`
+      : '';
+  }
+
+  function renderProductions() {
+    const batches = dbGetList(DB_KEYS.productions).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 20);
+    const container = document.getElementById('productionList');
+
+    if (batches.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state" style="padding:32px 0">
+          <div class="empty-icon">🏭</div>
+          <h4>No production batches yet</h4>
+          <p>Record milk converted into curd, paneer or other products</p>
+        </div>`;
+      return;
+    }
+
+    container.innerHTML = batches.map(b => {
+      const input = getProduct(b.inputProductId);
+      const output = getProduct(b.outputProductId);
+      return `
+        <div class="activity-item" style="padding:12px 0;">
+          <span class="activity-dot closing"></span>
+          <div style="flex:1;">
+            <div class="fw-bold" style="font-size:0.88rem;">
+              ${formatQty(b.inputQuantity, input.unit)} ${escHtml(input.name)} → ${formatQty(b.outputQuantity, output.unit)} ${escHtml(output.name)}
+            </div>
+            <div class="text-muted" style="font-size:0.75rem;">
+              ${formatDate(b.date)} • ${SHIFTS[recordShift(b)]} • Yield ${Number(b.yieldRatio).toFixed(3)}
+              ${b.notes ? ' • ' + escHtml(b.notes) : ''}
+            </div>
+          </div>
+          <span class="badge badge-accent">${formatQty(b.outputQuantity, output.unit)}</span>
+        </div>`;
+    }).join('');
+  }
+
+  function addProduction(date, inputQuantity, outputProductId, outputQuantity, notes, details = {}) {
+    const shift = details.shift || currentShift();
+    const inputProductId = MILK_PRODUCT_ID;
+    if (isDayLocked(date)) {
+      toast('error', 'Day Locked', 'Cannot add production for a closed day');
+      return false;
+    }
+    if (isShiftLocked(date, shift)) {
+      toast('error', 'Shift Locked', `The ${SHIFTS[shift]} shift is locked for this day`);
+      return false;
+    }
+
+    if (Number(inputQuantity) > getSellableStock(inputProductId)) {
+      toast('error', 'Insufficient Stock', insufficientSellableMessage(getProduct(inputProductId)));
+      return false;
+    }
+
+    const batch = {
+      id: generateId(),
+      date,
+      shift,
+      inputProductId,
+      inputQuantity: Number(inputQuantity),
+      outputProductId,
+      outputQuantity: Number(outputQuantity),
+      yieldRatio: Number(outputQuantity) / Number(inputQuantity),
+      notes: notes || '',
+      recordedBy: currentUser?.username,
+      timestamp: nowTimestamp(),
+    };
+    batch.inputBatches = consumeBatches(inputProductId, batch.inputQuantity);
+
+    const batches = dbGetList(DB_KEYS.productions);
+    batches.push(batch);
+    dbSet(DB_KEYS.productions, batches);
+
+    adjustStock(inputProductId, -batch.inputQuantity);
+    adjustStock(outputProductId, batch.outputQuantity);
+
+    const output = getProduct(outputProductId);
+    addActivity('closing', `Produced <strong>${formatQty(outputQuantity, output.unit)} ${escHtml(output.name)}</strong> from <strong>${formatQty(inputQuantity)}</strong> milk`);
+    return true;
+  }
+
+  // =============== STORAGE UNITS ===============
+  // Milk in a storage unit is still milk stock; whatever is not held in a unit
+  // is sale-ready at the counter. Unit levels are derived from stock received
+  // into the unit and transfers, so they never drift from the records.
+  // Every other movement (sales, production, losses) happens at the counter.
+  const SALE_READY = 'counter';
+  const STORAGE_UNIT_TYPES = { cooler: '🧊 Bulk Cooler', can: '🥛 Can', fridge: '❄️ Fridge' };
+
+  function getStorageUnits(activeOnly) {
+    const units = dbGetList(DB_KEYS.storageUnits);
+    return activeOnly ? units.filter(u => u.status === 'active') : units;
+  }
+
+  function getUnitLevel(unitId) {
+    const received = dbGetList(DB_KEYS.stockEntries).filter(e => e.storageUnitId === unitId && !e.voided).reduce((sum, e) => sum + Number(e.quantity), 0);
+    return dbGetList(DB_KEYS.storageTransfers).reduce((level, t) => {
+      if (t.toUnitId === unitId) level += Number(t.quantity);
+      if (t.fromUnitId === unitId) level -= Number(t.quantity);
+      return level;
+    }, received);
+  }
+
+  function getSaleReadyStock() {
+    return getStock() - getStorageUnits().reduce((sum, u) => sum + getUnitLevel(u.id), 0);
+  }
+
+  // Milk leaves the shop from the counter: sales, production, losses and
+  // deliveries voided or cut back all draw on sale-ready stock, so milk held
+  // in a storage unit has to be transferred out first
+  function getSellableStock(productId) {
+    return productId === MILK_PRODUCT_ID ? Math.max(0, getSaleReadyStock()) : getStock(productId);
+  }
+
+  function insufficientSellableMessage(product) {
+    const available = formatQty(getSellableStock(product.id), product.unit);
+    return product.id === MILK_PRODUCT_ID && getStorageUnits().some(u => getUnitLevel(u.id) > 0)
+      ? `Only ${available} of ${product.name} is sale-ready. Transfer milk out of storage first.`
+      : `Only ${available} of ${product.name} available.`;
+  }
+
+  function getLocationLevel(locationId) {
+    return locationId === SALE_READY ? getSaleReadyStock() : getUnitLevel(locationId);
+  }
+
+  function storageLocationName(locationId) {
+    if (locationId === SALE_READY) return '🛒 Sale-ready';
+    const unit = getStorageUnits().find(u => u.id === locationId);
+    return unit ? unit.name : 'Unknown';
+  }
+
+  function storageLocationOptions(selectedId) {
+    return `<option value="${SALE_READY}" ${selectedId === SALE_READY ? 'selected' : ''}>🛒 Sale-ready</option>` +
+      getStorageUnits(true).map(u => `<option value="${u.id}" ${u.id === selectedId ? 'selected' : ''}>${escHtml(u.name)}</option>`).join('');
+  }
+
+  function getLatestReading(unitId) {
+    return dbGetList(DB_KEYS.storageLogs)
+      .filter(l => l.unitId === unitId && l.temperature !== undefined && l.temperature !== null)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null;
+  }
+
+  function isReadingUnsafe(reading, unit) {
+    return !!reading && !!unit && unit.safeTemp !== null && unit.safeTemp !== undefined && Number(reading.temperature) > Number(unit.safeTemp);
+  }
+
+  function refreshStorage() {
+    if (!document.getElementById('storageDate').value) {
+      document.getElementById('storageDate').value = todayStr();
+      document.getElementById('storageShift').value = currentShift();
+    }
+    if (!document.getElementById('transferDate').value) {
+      document.getElementById('transferDate').value = todayStr();
+      document.getElementById('transferShift').value = currentShift();
+    }
+
+    const unitSelect = document.getElementById('storageUnit');
+    unitSelect.innerHTML = getStorageUnits(true).map(u => `<option value="${u.id}" ${u.id === unitSelect.value ? 'selected' : ''}>${escHtml(u.name)}</option>`).join('');
+    const fromSelect = document.getElementById('transferFrom');
+    const toSelect = document.getElementById('transferTo');
+    const units = getStorageUnits(true);
+    fromSelect.innerHTML = storageLocationOptions(fromSelect.value || (units[0] ? units[0].id : SALE_READY));
+    toSelect.innerHTML = storageLocationOptions(toSelect.value || SALE_READY);
+
+    renderStorageUnits();
+    renderStorageLogs();
+    renderTransfers();
+  }
+
+  function renderStorageUnits() {
+    const isOwner = currentUser && currentUser.role === 'owner';
+    const saleReady = getSaleReadyStock();
+    const tiles = getStorageUnits().filter(u => u.status === 'active' || getUnitLevel(u.id) > 0).map(u => {
+      const level = getUnitLevel(u.id);
+      const reading = getLatestReading(u.id);
+      const unsafe = isReadingUnsafe(reading, u);
+      const fill = u.capacity ? Math.round(level / u.capacity * 100) : null;
+      return `
+        <div class="summary-item" ${unsafe ? 'style="border-color:var(--danger-500);"' : ''}>
+          <div class="s-label">
+            ${STORAGE_UNIT_TYPES[u.type] ? STORAGE_UNIT_TYPES[u.type].split(' ')[0] : '📦'} ${escHtml(u.name)}
+            ${u.status !== 'active' ? ' (inactive)' : ''}
+          </div>
+          <div class="s-value">${formatQty(level)}</div>
+          <div class="text-muted" style="font-size:0.75rem;">
+            ${u.capacity ? `${fill}% of ${formatQty(u.capacity)}` : 'No capacity set'}
+          </div>
+          <div class="${unsafe ? 'text-danger fw-bold' : 'text-muted'}" style="font-size:0.75rem;">
+            ${reading
+              ? `${unsafe ? '⚠️' : '🌡️'} ${Number(reading.temperature).toFixed(1)}°C at ${formatTime(reading.timestamp)}${reading.date !== todayStr() ? ', ' + formatDateShort(reading.date) : ''}`
+              : '🌡️ No reading yet'}
+            ${u.safeTemp !== null && u.safeTemp !== undefined ? ` • max ${u.safeTemp}°C` : ''}
+          </div>
+          ${isOwner ? `
+          <div class="mt-md">
+            <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showStorageUnitModal('${u.id}')" title="Edit">✏️</button>
+            <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.toggleStorageUnitStatus('${u.id}')" title="Toggle Status">
+              ${u.status === 'active' ? '🔴' : '🟢'}
+            </button>
+          </div>` : ''}
+        </div>`;
+    });
+
+    tiles.push(`
+      <div class="summary-item highlight">
+        <div class="s-label">🛒 Sale-ready</div>
+        <div class="s-value ${saleReady < 0 ? 'text-danger' : 'text-success'}">${formatQty(saleReady)}</div>
+        <div class="${saleReady < 0 ? 'text-danger' : 'text-muted'}" style="font-size:0.75rem;">
+          ${saleReady < 0 ? '⚠️ Sales exceed sale-ready milk — record a transfer out of storage' : `of ${formatQty(getStock())} milk in stock`}
+        </div>
+      </div>`);
+
+    document.getElementById('storageUnitGrid').innerHTML = tiles.join('');
+  }
+
+  function renderStorageLogs() {
+    const logs = dbGetList(DB_KEYS.storageLogs).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 20);
+    const container = document.getElementById('storageLogList');
+
+    if (logs.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state" style="padding:32px 0">
+          <div class="empty-icon">🏪</div>
+          <h4>No storage logs yet</h4>
+          <p>Start logging your milk storage</p>
+        </div>`;
+      return;
+    }
+
+    const units = getStorageUnits();
+    container.innerHTML = logs.map(log => {
+      // Logs from before storage units only carried a quantity and free-text notes
+      if (!log.unitId) {
+        return `
+          <div class="activity-item" style="padding:12px 0;">
+            <span class="activity-dot closing"></span>
+            <div style="flex:1;">
+              <div class="fw-bold" style="font-size:0.88rem;">
+                ${formatQty(log.quantity)} stored
+              </div>
+              <div class="text-muted" style="font-size:0.75rem;">
+                ${formatDate(log.date)} • ${SHIFTS[recordShift(log)]} • ${formatTime(log.timestamp)}
+                ${log.notes ? '<br>' + escHtml(log.notes) : ''}
+              </div>
+            </div>
+            <span class="badge badge-accent">${formatQty(log.quantity)}</span>
+          </div>`;
+      }
+      const unit = units.find(u => u.id === log.unitId);
+      const unsafe = isReadingUnsafe(log, unit);
+      return `
+        <div class="activity-item" style="padding:12px 0;">
+          <span class="activity-dot ${unsafe ? 'alert' : 'closing'}"></span>
+          <div style="flex:1;">
+            <div class="fw-bold" style="font-size:0.88rem;">
+              ${escHtml(unit ? unit.name : 'Unknown')} • ${formatQty(log.quantity)} held
+            </div>
+            <div class="text-muted" style="font-size:0.75rem;">
+              ${formatDate(log.date)} • ${SHIFTS[recordShift(log)]} • ${formatTime(log.timestamp)}
+              ${log.recordedBy ? ' • ' + escHtml(log.recordedBy) : ''}
+              ${log.notes ? '<br>' + escHtml(log.notes) : ''}
+            </div>
+          </div>
+          <span class="badge ${unsafe ? 'badge-danger' : 'badge-accent'}">${unsafe ? '⚠️ ' : ''}${Number(log.temperature).toFixed(1)}°C</span>
+        </div>`;
+    }).join('');
+  }
+
+  function addStorageLog(date, unitId, temperature, notes, details = {}) {
+    const shift = details.shift || currentShift();
+    if (isShiftLocked(date, shift)) {
+      toast('error', 'Shift Locked', `The ${SHIFTS[shift]} shift is locked for this day`);
+      return false;
+    }
+
+    const unit = getStorageUnits().find(u => u.id === unitId);
+    if (!unit) {
+      toast('error', 'Select Unit', 'Please select a storage unit');
+      return false;
+    }
+
+    const log = {
+      id: generateId(),
+      date,
+      shift,
+      unitId,
+      temperature: Number(temperature),
+      quantity: getUnitLevel(unitId),
+      notes: notes || '',
+      recordedBy: currentUser?.username,
+      timestamp: nowTimestamp(),
+    };
+
+    const logs = dbGetList(DB_KEYS.storageLogs);
+    logs.push(log);
+    dbSet(DB_KEYS.storageLogs, logs);
+
+    if (isReadingUnsafe(log, unit)) {
+      addActivity('alert', `<strong>${escHtml(unit.name)}</strong> at <strong>${log.temperature.toFixed(1)}°C</strong> — above the safe ${unit.safeTemp}°C`);
+    } else {
+      addActivity('closing', `${escHtml(unit.name)} reading: <strong>${log.temperature.toFixed(1)}°C</strong>, ${formatQty(log.quantity)} held`);
+    }
+    return log;
+  }
+
+  function renderTransfers() {
+    const transfers = dbGetList(DB_KEYS.storageTransfers).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 20);
+    const container = document.getElementById('transferList');
+
+    if (transfers.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state" style="padding:32px 0">
+          <div class="empty-icon">🔄</div>
+          <h4>No transfers yet</h4>
+          <p>Move milk between storage units and the counter</p>
+        </div>`;
+      return;
+    }
+
+    container.innerHTML = transfers.map(t => `
+      <div class="activity-item" style="padding:12px 0;">
+        <span class="activity-dot purchase"></span>
+        <div style="flex:1;">
+          <div class="fw-bold" style="font-size:0.88rem;">
+            ${escHtml(storageLocationName(t.fromUnitId || SALE_READY))} → ${escHtml(storageLocationName(t.toUnitId || SALE_READY))}
+          </div>
+          <div class="text-muted" style="font-size:0.75rem;">
+            ${formatDate(t.date)} • ${SHIFTS[recordShift(t)]} • ${formatTime(t.timestamp)}
+            ${t.recordedBy ? ' • ' + escHtml(t.recordedBy) : ''}
+            ${t.notes ? ' • ' + escHtml(t.notes) : ''}
+          </div>
+        </div>
+        <span class="badge badge-primary">${formatQty(t.quantity)}</span>
+      </div>
+    `).join('');
+  }
+
+  function addStorageTransfer(date, fromId, toId, quantity, notes, details = {}) {
+    const shift = details.shift || currentShift();
+    if (isDayLocked(date)) {
+      toast('error', 'Day Locked', 'Cannot record transfers for a closed day');
+      return false;
+    }
+    if (isShiftLocked(date, shift)) {
+      toast('error', 'Shift Locked', `The ${SHIFTS[shift]} shift is locked for this day`);
+      return false;
+    }
+    if (fromId === toId) {
+      toast('error', 'Validation Error', 'Choose two different locations');
+      return false;
+    }
+
+    const qty = Number(quantity);
+    const available = getLocationLevel(fromId);
+    if (qty > available + 0.0005) {
+      toast('error', 'Insufficient Stock', `Only ${formatQty(Math.max(0, available))} in ${storageLocationName(fromId)}`);
+      return false;
+    }
+    const target = getStorageUnits().find(u => u.id === toId);
+    if (target && target.capacity && getUnitLevel(toId) + qty > Number(target.capacity) + 0.0005) {
+      toast('error', 'Over Capacity', `${target.name} can take only ${formatQty(Number(target.capacity) - getUnitLevel(toId))} more`);
+      return false;
+    }
+
+    const transfer = {
+      id: generateId(),
+      date,
+      shift,
+      fromUnitId: fromId === SALE_READY ? null : fromId,
+      toUnitId: toId === SALE_READY ? null : toId,
+      quantity: qty,
+      notes: notes || '',
+      recordedBy: currentUser?.username,
+      timestamp: nowTimestamp(),
+    };
+
+    const transfers = dbGetList(DB_KEYS.storageTransfers);
+    transfers.push(transfer);
+    dbSet(DB_KEYS.storageTransfers, transfers);
+
+    addActivity('closing', `Moved <strong>${formatQty(qty)}</strong> from ${escHtml(storageLocationName(fromId))} to ${escHtml(storageLocationName(toId))}`);
+    return transfer;
+  }
+
+  function showStorageUnitModal(editId) {
+    document.getElementById('storageUnitForm').reset();
+    document.getElementById('storageUnitId').value = '';
+    document.getElementById('storageUnitModalTitle').textContent = 'Add Storage Unit';
+    document.getElementById('storageUnitType').innerHTML = Object.entries(STORAGE_UNIT_TYPES)
+      .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+
+    const unit = editId && getStorageUnits().find(u => u.id === editId);
+    if (unit) {
+      document.getElementById('storageUnitModalTitle').textContent = 'Edit Storage Unit';
+      document.getElementById('storageUnitId').value = unit.id;
+      document.getElementById('storageUnitName').value = unit.name;
+      document.getElementById('storageUnitType').value = unit.type;
+      document.getElementById('storageUnitCapacity').value = unit.capacity || '';
+      document.getElementById('storageUnitSafeTemp').value = unit.safeTemp ?? '';
+    }
+    openModal('storageUnitModal');
+  }
+
+  function saveStorageUnit() {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can manage storage units');
+      return;
+    }
+
+    const editId = document.getElementById('storageUnitId').value;
+    const name = document.getElementById('storageUnitName').value.trim();
+    const type = document.getElementById('storageUnitType').value;
+    const capacity = Number(document.getElementById('storageUnitCapacity').value) || null;
+    const safeTempValue = document.getElementById('storageUnitSafeTemp').value;
+    const safeTemp = safeTempValue === '' ? null : Number(safeTempValue);
+
+    if (!name) {
+      toast('error', 'Validation Error', 'Unit name is required');
+      return;
+    }
+    if (editId && capacity && getUnitLevel(editId) > capacity) {
+      toast('error', 'Validation Error', `The unit already holds ${formatQty(getUnitLevel(editId))}`);
+      return;
+    }
+
+    const units = getStorageUnits();
+    if (editId) {
+      const unit = units.find(u => u.id === editId);
+      if (!unit) return;
+      Object.assign(unit, { name, type, capacity, safeTemp });
+      toast('success', 'Unit Updated', `${name} has been updated`);
+    } else {
+      units.push({ id: generateId(), name, type, capacity, safeTemp, status: 'active', createdAt: nowTimestamp() });
+      toast('success', 'Unit Added', `${name} has been added`);
+    }
+
+    dbSet(DB_KEYS.storageUnits, units);
+    closeModal('storageUnitModal');
+    refreshStorage();
+  }
+
+  function toggleStorageUnitStatus(id) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can manage storage units');
+      return;
+    }
+    const units = getStorageUnits();
+    const unit = units.find(u => u.id === id);
+    if (!unit) return;
+    if (unit.status === 'active' && getUnitLevel(id) > 0) {
+      toast('error', 'Unit Not Empty', `Transfer the ${formatQty(getUnitLevel(id))} out of ${unit.name} first`);
+      return;
+    }
+    unit.status = unit.status === 'active' ? 'inactive' : 'active';
+    dbSet(DB_KEYS.storageUnits, units);
+    toast('info', 'Status Changed', `${unit.name} is now ${unit.status}`);
+    refreshStorage();
+  }
+
+  // =============== SALES ===============
+  function refreshSales() {
+    if (!document.getElementById('saleDate').value) {
+      document.getElementById('saleDate').value = todayStr();
+      document.getElementById('saleShift').value = currentShift();
+    }
+
+    const productSelect = document.getElementById('saleProduct');
+    productSelect.innerHTML = productOptions(productSelect.value || MILK_PRODUCT_ID);
+
+    const today = todayStr();
+    const allSales = dbGetList(DB_KEYS.sales);
+    const todaySales = allSales.filter(s => s.date === today && isCountedSale(s));
+
+    const cashTotal = todaySales.filter(s => s.paymentMode === 'cash').reduce((sum, s) => sum + Number(s.amount), 0);
+    const upiTotal = todaySales.filter(s => s.paymentMode === 'upi' && !isAwaitingGateway(s)).reduce((sum, s) => sum + Number(s.amount), 0);
+    const creditTotal = todaySales.filter(s => s.paymentMode === 'credit').reduce((sum, s) => sum + Number(s.amount), 0);
+
+    document.getElementById('salesTotalCount').textContent = todaySales.length;
+    document.getElementById('salesTotalCash').textContent = formatCurrency(cashTotal);
+    document.getElementById('salesTotalUpi').textContent = formatCurrency(upiTotal);
+    document.getElementById('salesTotalCredit').textContent = formatCurrency(creditTotal);
+    document.getElementById('salesTotalRevenue').textContent = formatCurrency(cashTotal + upiTotal + creditTotal);
+
+    const accountSelect = document.getElementById('saleAccount');
+    const selectedAccount = accountSelect.value;
+    accountSelect.innerHTML = '<option value="">— Walk-in —</option>' +
+      dbGetList(DB_KEYS.customers).filter(c => c.status === 'active')
+        .map(c => `<option value="${c.id}">${escHtml(c.name)}</option>`).join('');
+    accountSelect.value = selectedAccount;
+    updateSaleAmount();
+
+    renderSaleStockInfo();
+
+    const shiftTotals = getShiftTotals(today);
+    document.getElementById('salesShiftSummary').innerHTML = Object.keys(SHIFTS).map(shift => `
+      <div class="report-row">
+        <span class="label">${SHIFTS[shift]} ${shiftTotals[shift].locked ? '🔒' : ''}</span>
+        <span class="value">${shiftTotals[shift].salesCount} sales • ${formatQty(shiftTotals[shift].sold)} • ${formatCurrency(shiftTotals[shift].revenue)}</span>
+      </div>
+    `).join('');
+
+    renderSalesTable(allSales);
+    refreshReconciliation();
+  }
+
+  // Amount follows quantity × rate until the user types their own amount
+  function updateSaleAmount() {
+    const qty = Number(document.getElementById('saleQty').value);
+    const productId = document.getElementById('saleProduct').value || MILK_PRODUCT_ID;
+    const date = document.getElementById('saleDate').value || todayStr();
+    const amountInput = document.getElementById('saleAmount');
+    const { rate, label } = getSaleRate(productId, date, document.getElementById('saleAccount').value);
+    const expected = Math.round(qty * rate * 100) / 100;
+    const unit = UNITS[getProduct(productId).unit] || getProduct(productId).unit;
+
+    if (amountInput.dataset.manual !== 'true') {
+      amountInput.value = qty > 0 ? expected : '';
+    }
+    const overridden = amountInput.dataset.manual === 'true' && qty > 0 && Number(amountInput.value) !== expected;
+    const hint = document.getElementById('saleRateHint');
+    hint.textContent = overridden
+      ? `⚠️ Manual amount — list amount is ${formatCurrency(expected)}; the override will be logged`
+      : `Rate: ${formatCurrency(rate)}/${unit} (${label})`;
+    hint.className = `${overridden ? 'text-warning' : 'text-muted'} mb-md`;
+    updateUpiQr();
+  }
+
+  // =============== EDIT & VOID ===============
+  // Sales and stock entries are never deleted. An edit keeps the previous
+  // values in `revisions`, a void keeps the record flagged, and both correct
+  // stock and write before/after values to the audit log.
+  const SALE_EDIT_FIELDS = ['quantity', 'amount', 'paymentMode', 'customer', 'notes'];
+  const STOCK_EDIT_FIELDS = ['quantity', 'cost', 'paidAmount', 'notes'];
+
+  function pickFields(record, fields) {
+    return fields.reduce((obj, f) => ({ ...obj, [f]: record[f] }), {});
+  }
+
+  function describeChanges(before, after) {
+    return Object.keys(after)
+      .filter(k => before[k] !== after[k])
+      .map(k => `${k}: ${before[k] === '' ? '—' : before[k]} → ${after[k] === '' ? '—' : after[k]}`)
+      .join(', ');
+  }
+
+  function canChangeRecord(record) {
+    if (record.voided) {
+      toast('error', 'Already Void', 'This record has already been voided');
+      return false;
+    }
+    if (isDayLocked(record.date)) {
+      toast('error', 'Day Locked', 'Records from a closed day cannot be changed');
+      return false;
+    }
+    if (isShiftLocked(record.date, recordShift(record))) {
+      toast('error', 'Shift Locked', 'Records from a locked shift cannot be changed');
+      return false;
+    }
+    return true;
+  }
+
+  // Amount and mode of a sale matched to a bank or gateway payment are settled facts
+  function isSettledSale(sale) {
+    return !!sale.gatewayTransactionId || (!!sale.reconciledAt && sale.reconciliationMethod !== 'waived');
+  }
+
+  function addRevision(record, before, reason) {
+    record.revisions = [...(record.revisions || []), {
+      ...before,
+      reason,
+      editedBy: currentUser?.username,
+      editedAt: nowTimestamp(),
+    }];
+  }
+
+  function showSaleEdit(id) {
+    const sale = dbGetList(DB_KEYS.sales).find(s => s.id === id);
+    if (!sale || !canChangeRecord(sale)) return;
+    if (isSettledSale(sale)) {
+      toast('error', 'Sale Reconciled', 'Unlink the bank credit before changing this sale');
+      return;
+    }
+
+    const product = getProduct(recordProduct(sale));
+    document.getElementById('saleEditForm').reset();
+    document.getElementById('editSaleId').value = sale.id;
+    document.getElementById('editSaleQtyLabel').textContent = `Quantity (${UNITS[product.unit] || product.unit})`;
+    document.getElementById('editSaleQty').value = sale.quantity;
+    document.getElementById('editSaleAmount').value = sale.amount;
+    document.getElementById('editSaleMode').value = sale.paymentMode;
+    document.getElementById('editSaleMode').disabled = sale.paymentMode === 'upi' && sale.paymentStatus === 'pending';
+    document.getElementById('editSaleCustomer').value = sale.customer || '';
+    document.getElementById('editSaleNotes').value = sale.notes || '';
+    openModal('saleEditModal');
+  }
+
+  function saveSaleEdit() {
+    const id = document.getElementById('editSaleId').value;
+    const quantity = Number(document.getElementById('editSaleQty').value);
+    const amount = Number(document.getElementById('editSaleAmount').value);
+    const reason = document.getElementById('editSaleReason').value.trim();
+
+    if (!(quantity > 0) || !(amount >= 0)) {
+      toast('error', 'Validation Error', 'Enter a valid quantity and amount');
+      return;
+    }
+    if (!reason) {
+      toast('error', 'Reason Required', 'Say why the sale is being changed');
+      return;
+    }
+
+    const changes = {
+      quantity,
+      amount,
+      paymentMode: document.getElementById('editSaleMode').value,
+      customer: document.getElementById('editSaleCustomer').value.trim() || 'Walk-in',
+      notes: document.getElementById('editSaleNotes').value.trim(),
+    };
+    if (updateSale(id, changes, reason)) {
+      closeModal('saleEditModal');
+      refreshSales();
+    }
+  }
+
+  function updateSale(id, changes, reason) {
+    const sales = dbGetList(DB_KEYS.sales);
+    const sale = sales.find(s => s.id === id);
+    if (!sale || !canChangeRecord(sale)) return false;
+    if (isSettledSale(sale)) {
+      toast('error', 'Sale Reconciled', 'Unlink the bank credit before changing this sale');
+      return false;
+    }
+
+    const before = pickFields(sale, SALE_EDIT_FIELDS);
+    const after = { ...before, ...changes };
+    // The gateway decides how a pending UPI payment ends, not an edit
+    if (sale.paymentMode === 'upi' && sale.paymentStatus === 'pending' && after.paymentMode !== 'upi') {
+      toast('error', 'Payment Pending', 'Wait for the gateway to confirm or fail this UPI payment before changing its mode');
+      return false;
+    }
+    if (after.paymentMode === 'credit' && !sale.customerId) {
+      toast('error', 'Customer Required', 'Only sales posted to a customer account can be on credit');
+      return false;
+    }
+    const diff = describeChanges(before, after);
+    if (!diff) {
+      toast('info', 'No Changes', 'Nothing was changed');
+      return false;
+    }
+
+    const product = getProduct(recordProduct(sale));
+    const delta = after.quantity - before.quantity;
+    if (isCountedSale(sale) && delta > getSellableStock(product.id)) {
+      toast('error', 'Insufficient Stock', insufficientSellableMessage(product));
+      return false;
+    }
+    if (isCountedSale(sale) && delta !== 0) {
+      adjustStock(product.id, -delta);
+      returnBatches(sale.batches);
+      sale.batches = consumeBatches(product.id, after.quantity);
+    }
+
+    addRevision(sale, before, reason);
+    Object.assign(sale, after);
+    if (after.paymentMode !== before.paymentMode) {
+      // The gateway can only confirm a sale it can match by reference; others go to statement reconciliation
+      const awaitsConfirmation = after.paymentMode === 'credit' || (after.paymentMode === 'upi' && isGatewayConnected() && !!sale.upiReference);
+      sale.paymentStatus = awaitsConfirmation ? 'pending' : 'completed';
+    }
+    if (sale.rate !== null && sale.rate !== undefined) {
+      sale.priceOverride = Math.abs(sale.amount - Math.round(sale.quantity * sale.rate * 100) / 100) > 0.005;
+    }
+    dbSet(DB_KEYS.sales, sales);
+
+    MilkSecurity.auditLog('SALE_EDITED', `Sale ${sale.id} (${sale.date}): ${diff} — ${reason}`, currentUser?.username);
+    addActivity('alert', `Edited sale to <strong>${escHtml(sale.customer)}</strong> — ${escHtml(diff)}`);
+    toast('success', 'Sale Updated', 'The original values are kept in the audit log');
+    return true;
+  }
+
+  function voidSale(id, reason) {
+    const sales = dbGetList(DB_KEYS.sales);
+    const sale = sales.find(s => s.id === id);
+    if (!sale || !canChangeRecord(sale)) return false;
+    if (isSettledSale(sale)) {
+      toast('error', 'Sale Reconciled', 'Unlink the bank credit before voiding this sale');
+      return false;
+    }
+
+    const product = getProduct(recordProduct(sale));
+    if (isCountedSale(sale)) {
+      adjustStock(product.id, Number(sale.quantity));
+      returnBatches(sale.batches);
+    }
+    sale.batches = [];
+    sale.voided = true;
+    sale.voidReason = reason;
+    sale.voidedBy = currentUser?.username;
+    sale.voidedAt = nowTimestamp();
+    dbSet(DB_KEYS.sales, sales);
+
+    MilkSecurity.auditLog('SALE_VOIDED', `Sale ${sale.id} (${sale.date}): ${formatQty(sale.quantity, product.unit)} ${product.name}, ${formatCurrency(sale.amount)} ${sale.paymentMode} → void — ${reason}`, currentUser?.username);
+    addActivity('alert', `Voided sale of <strong>${formatQty(sale.quantity, product.unit)} ${escHtml(product.name)}</strong> — ${escHtml(reason)}`);
+    return true;
+  }
+
+  function showStockEdit(id) {
+    const entry = dbGetList(DB_KEYS.stockEntries).find(e => e.id === id);
+    if (!entry || !canChangeRecord(entry)) return;
+
+    const product = getProduct(recordProduct(entry));
+    document.getElementById('stockEditForm').reset();
+    document.getElementById('editStockId').value = entry.id;
+    document.getElementById('editStockQtyLabel').textContent = `Quantity (${UNITS[product.unit] || product.unit})`;
+    document.getElementById('editStockQty').value = entry.quantity;
+    document.getElementById('editStockCost').value = entry.cost;
+    document.getElementById('editStockPaid').value = entry.paidAmount || '';
+    document.getElementById('editStockNotes').value = entry.notes || '';
+    // Rate-chart priced entries are re-priced from the stored rate
+    document.getElementById('editStockCost').disabled = entry.rate !== null && entry.rate !== undefined;
+    document.getElementById('editStockRateHint').textContent = entry.rate !== null && entry.rate !== undefined
+      ? `Priced at ₹${entry.rate}/L from Fat ${entry.fat}% / SNF ${entry.snf || '—'}% — cost follows the quantity`
+      : '';
+    openModal('stockEditModal');
+  }
+
+  function saveStockEdit() {
+    const id = document.getElementById('editStockId').value;
+    const quantity = Number(document.getElementById('editStockQty').value);
+    const cost = Number(document.getElementById('editStockCost').value);
+    const reason = document.getElementById('editStockReason').value.trim();
+
+    if (!(quantity > 0) || !(cost >= 0)) {
+      toast('error', 'Validation Error', 'Enter a valid quantity and cost');
+      return;
+    }
+    if (!reason) {
+      toast('error', 'Reason Required', 'Say why the entry is being changed');
+      return;
+    }
+
+    const changes = {
+      quantity,
+      cost,
+      paidAmount: Number(document.getElementById('editStockPaid').value) || 0,
+      notes: document.getElementById('editStockNotes').value.trim(),
+    };
+    if (updateStockEntry(id, changes, reason)) {
+      closeModal('stockEditModal');
+      refreshStock();
+    }
+  }
+
+  function updateStockEntry(id, changes, reason) {
+    const entries = dbGetList(DB_KEYS.stockEntries);
+    const entry = entries.find(e => e.id === id);
+    if (!entry || !canChangeRecord(entry)) return false;
+
+    const before = pickFields(entry, STOCK_EDIT_FIELDS);
+    const after = { ...before, ...changes };
+    if (entry.rate !== null && entry.rate !== undefined) {
+      after.cost = Math.round(after.quantity * entry.rate * 100) / 100;
+    }
+    if (after.paidAmount > after.cost) {
+      toast('error', 'Validation Error', 'Amount paid cannot exceed the total cost');
+      return false;
+    }
+    const diff = describeChanges(before, after);
+    if (!diff) {
+      toast('info', 'No Changes', 'Nothing was changed');
+      return false;
+    }
+
+    const product = getProduct(recordProduct(entry));
+    const delta = after.quantity - before.quantity;
+    if (delta < 0 && -delta > getStock(product.id)) {
+      toast('error', 'Insufficient Stock', `Only ${formatQty(getStock(product.id), product.unit)} left — the rest has already been sold or used`);
+      return false;
+    }
+    if (!entry.storageUnitId && delta < 0 && -delta > getSellableStock(product.id)) {
+      toast('error', 'Insufficient Stock', insufficientSellableMessage(product));
+      return false;
+    }
+    const unit = entry.storageUnitId && getStorageUnits().find(u => u.id === entry.storageUnitId);
+    if (unit && delta < 0 && -delta > getUnitLevel(unit.id)) {
+      toast('error', 'Insufficient Stock', `${unit.name} holds only ${formatQty(getUnitLevel(unit.id))}`);
+      return false;
+    }
+    if (unit && unit.capacity && delta > 0 && getUnitLevel(unit.id) + delta > Number(unit.capacity) + 0.0005) {
+      toast('error', 'Over Capacity', `${unit.name} can take only ${formatQty(Number(unit.capacity) - getUnitLevel(unit.id))} more`);
+      return false;
+    }
+
+    addRevision(entry, before, reason);
+    Object.assign(entry, after);
+    if (entry.remaining !== undefined) {
+      entry.remaining = Math.max(0, Math.round((Number(entry.remaining) + delta) * 1000) / 1000);
+    }
+    dbSet(DB_KEYS.stockEntries, entries);
+    if (delta !== 0) adjustStock(product.id, delta);
+
+    MilkSecurity.auditLog('STOCK_ENTRY_EDITED', `Stock entry ${entry.id} (${entry.date}): ${diff} — ${reason}`, currentUser?.username);
+    addActivity('alert', `Edited stock entry of <strong>${escHtml(product.name)}</strong> — ${escHtml(diff)}`);
+    toast('success', 'Entry Updated', 'The original values are kept in the audit log');
+    return true;
+  }
+
+  function voidStockEntry(id, reason) {
+    const entries = dbGetList(DB_KEYS.stockEntries);
+    const entry = entries.find(e => e.id === id);
+    if (!entry || !canChangeRecord(entry)) return false;
+
+    const product = getProduct(recordProduct(entry));
+    if (Number(entry.quantity) > getStock(product.id)) {
+      toast('error', 'Already Used', `Only ${formatQty(getStock(product.id), product.unit)} in stock — edit the quantity or record a stock adjustment instead`);
+      return false;
+    }
+    if (!entry.storageUnitId && Number(entry.quantity) > getSellableStock(product.id)) {
+      toast('error', 'Already Used', insufficientSellableMessage(product));
+      return false;
+    }
+    if (entry.storageUnitId && Number(entry.quantity) > getUnitLevel(entry.storageUnitId)) {
+      toast('error', 'Already Moved', `Part of this delivery has left ${storageLocationName(entry.storageUnitId)} — transfer it back first`);
+      return false;
+    }
+
+    entry.voided = true;
+    entry.voidReason = reason;
+    entry.voidedBy = currentUser?.username;
+    entry.voidedAt = nowTimestamp();
+    entry.remaining = 0;
+    dbSet(DB_KEYS.stockEntries, entries);
+    adjustStock(product.id, -Number(entry.quantity));
+
+    MilkSecurity.auditLog('STOCK_ENTRY_VOIDED', `Stock entry ${entry.id} (${entry.date}): ${formatQty(entry.quantity, product.unit)} ${product.name}, ${formatCurrency(entry.cost)} → void — ${reason}`, currentUser?.username);
+    addActivity('alert', `Voided stock entry of <strong>${formatQty(entry.quantity, product.unit)} ${escHtml(product.name)}</strong> — ${escHtml(reason)}`);
+    return true;
+  }
+
+  function showVoid(type, id) {
+    const record = dbGetList(type === 'sale' ? DB_KEYS.sales : DB_KEYS.stockEntries).find(r => r.id === id);
+    if (!record || !canChangeRecord(record)) return;
+    if (type === 'sale' && isSettledSale(record)) {
+      toast('error', 'Sale Reconciled', 'Unlink the bank credit before voiding this sale');
+      return;
+    }
+
+    const product = getProduct(recordProduct(record));
+    document.getElementById('voidRecordType').value = type;
+    document.getElementById('voidRecordId').value = id;
+    document.getElementById('voidReason').value = '';
+    document.getElementById('voidSummary').textContent = type === 'sale'
+      ? `Sale of ${formatQty(record.quantity, product.unit)} ${product.name} to ${record.customer || 'Walk-in'} for ${formatCurrency(record.amount)} on ${formatDate(record.date)}`
+      : `Stock entry of ${formatQty(record.quantity, product.unit)} ${product.name} costing ${formatCurrency(record.cost)} on ${formatDate(record.date)}`;
+    openModal('voidModal');
+  }
+
+  function confirmVoid() {
+    const type = document.getElementById('voidRecordType').value;
+    const id = document.getElementById('voidRecordId').value;
+    const reason = document.getElementById('voidReason').value.trim();
+    if (!reason) {
+      toast('error', 'Reason Required', 'Say why the record is being voided');
+      return;
+    }
+
+    const done = type === 'sale' ? voidSale(id, reason) : voidStockEntry(id, reason);
+    if (done) {
+      closeModal('voidModal');
+      toast('success', 'Record Voided', 'Stock has been corrected and the change logged');
+      if (type === 'sale') refreshSales(); else refreshStock();
+    }
+  }
+
+  // =============== UPI QR ===============
+  // The reference is created once per sale form and cleared after saving so
+  // a statement credit can be traced back to exactly one sale.
+  let pendingUpiRef = null;
+
+  function newUpiReference() {
+    return 'MF' + Date.now().toString(36).toUpperCase() + Math.random().toString(36).slice(2, 5).toUpperCase();
+  }
+
+  function buildUpiUri(vpa, payeeName, amount, reference) {
+    const params = [
+      ['pa', vpa],
+      ['pn', payeeName],
+      ['am', Number(amount).toFixed(2)],
+      ['cu', 'INR'],
+      ['tr', reference],
+      ['tn', `Milk sale ${reference}`],
+    ];
+    return 'upi://pay?' + params.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+  }
+
+  function updateUpiQr() {
+    const box = document.getElementById('saleUpiBox');
+    const amount = Number(document.getElementById('saleAmount').value);
+    if (document.getElementById('saleMode').value !== 'upi') {
+      box.style.display = 'none';
+      return;
+    }
+    box.style.display = '';
+
+    const settings = dbGet(DB_KEYS.settings) || {};
+    const qr = document.getElementById('saleUpiQr');
+    const info = document.getElementById('saleUpiInfo');
+    if (!settings.upiVpa) {
+      qr.innerHTML = '';
+      info.textContent = 'Add the shop UPI ID in Settings to show a payment QR code';
+      return;
+    }
+    if (!(amount > 0)) {
+      qr.innerHTML = '';
+      info.textContent = 'Enter the quantity to generate the payment QR code';
+      return;
+    }
+
+    if (!pendingUpiRef) pendingUpiRef = newUpiReference();
+    qr.innerHTML = MilkQR.toSvg(buildUpiUri(settings.upiVpa, settings.shopName || 'Milk Shop', amount, pendingUpiRef), 180);
+    info.textContent = `Pay ${formatCurrency(amount)} to ${settings.upiVpa} • Ref ${pendingUpiRef}`;
+  }
+
+  // Stock info follows the product selected on the sale form
+  function renderSaleStockInfo() {
+    const productId = document.getElementById('saleProduct').value || MILK_PRODUCT_ID;
+    const product = getProduct(productId);
+    const t = getDaySummary(todayStr()).products[productId] || { purchased: 0, sold: 0 };
+
+    document.getElementById('salesStockProduct').textContent = product.name;
+    document.getElementById('salesAvailStock').textContent = formatQty(getStock(productId), product.unit);
+    document.getElementById('salesTodayPurchased').textContent = formatQty(t.purchased, product.unit);
+    document.getElementById('salesTodaySold').textContent = formatQty(t.sold, product.unit);
+    document.getElementById('saleQtyLabel').textContent = `Quantity Sold (${UNITS[product.unit] || product.unit})`;
+  }
+
+  function renderSalesTable(salesList) {
+    const tbody = document.getElementById('salesTableBody');
+    const empty = document.getElementById('salesEmpty');
+    const isOwner = currentUser && currentUser.role === 'owner';
+
+    if (!salesList) salesList = dbGetList(DB_KEYS.sales);
+
+    // Sort by most recent
+    const sorted = [...salesList].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    if (sorted.length === 0) {
+      tbody.innerHTML = '';
+      empty.style.display = '';
+      return;
+    }
+
+    empty.style.display = 'none';
+    tbody.innerHTML = sorted.slice(0, 50).map(s => `
+      <tr ${s.voided ? `style="opacity:0.5;text-decoration:line-through;" title="Void: ${escHtml(s.voidReason || '')}"` : ''}>
+        <td>${formatDate(s.date)}</td>
+        <td>${escHtml(s.customer || 'Walk-in')}</td>
+        <td>${escHtml(getProduct(recordProduct(s)).name)}</td>
+        <td class="fw-bold">${formatQty(s.quantity, getProduct(recordProduct(s)).unit)}</td>
+        <td class="fw-bold">${formatCurrency(s.amount)}${s.priceOverride ? ` <span title="Manual amount (list rate ${formatCurrency(s.rate)})">⚠️</span>` : ''}</td>
+        <td>
+          <span class="badge ${{ cash: 'badge-success', upi: 'badge-primary', credit: 'badge-warning' }[s.paymentMode]}">
+            ${paymentModeLabel(s.paymentMode)}
+          </span>
+          ${s.paymentMode === 'upi' && s.paymentStatus !== 'completed' ? `<span class="badge ${s.paymentStatus === 'failed' ? 'badge-danger' : 'badge-warning'}">${escHtml(s.paymentStatus)}</span>` : ''}
+          ${s.voided ? '<span class="badge badge-danger">void</span>' : ''}
+          ${s.revisions && s.revisions.length ? `<span class="badge badge-warning" title="Edited ${s.revisions.length}×">edited</span>` : ''}
+          ${s.upiReference ? `<div class="font-mono text-muted" style="font-size:0.7rem;">${escHtml(s.upiReference)}</div>` : ''}
+        </td>
+        <td>${SHIFTS[recordShift(s)]}</td>
+        <td class="font-mono text-muted" style="font-size:0.78rem;">${formatTime(s.timestamp)}</td>
+        <td>
+          <div class="flex gap-sm">
+            <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showReceipt('${s.id}')" title="Receipt">🧾</button>
+            ${s.voided ? '' : `
+            <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showSaleEdit('${s.id}')" title="Edit">✏️</button>
+            <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showVoid('sale', '${s.id}')" title="Void">🚫</button>`}
+            ${isOwner && !s.voided && isAwaitingGateway(s) ? `
+            <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.resolvePendingUpiSale('${s.id}', 'completed')" title="Mark payment received">✅</button>
+            <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.resolvePendingUpiSale('${s.id}', 'failed')" title="Mark payment failed">❌</button>` : ''}
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  // Failed gateway payments stay on record but are not revenue or stock movement
+  function isCountedSale(sale) {
+    return sale.paymentStatus !== 'failed' && !sale.voided;
+  }
+
+  // UPI sales the gateway has not confirmed yet move stock but are not revenue
+  function isAwaitingGateway(sale) {
+    return sale.paymentMode === 'upi' && sale.paymentStatus === 'pending';
+  }
+
+  function addSale(date, paymentMode, quantity, amount, customer, notes, details = {}) {
+    const shift = details.shift || currentShift();
+    if (isDayLocked(date)) {
+      toast('error', 'Day Locked', 'Cannot add sales for a closed day');
+      return false;
+    }
+    if (isShiftLocked(date, shift)) {
+      toast('error', 'Shift Locked', `The ${SHIFTS[shift]} shift is locked for this day`);
+      return false;
+    }
+
+    if (paymentMode === 'credit' && !details.customerId) {
+      toast('error', 'Customer Required', 'Credit sales must be posted to a customer account');
+      return false;
+    }
+
+    const productId = details.productId || MILK_PRODUCT_ID;
+    const product = getProduct(productId);
+    if (Number(quantity) > getSellableStock(productId)) {
+      toast('error', 'Insufficient Stock', `${insufficientSellableMessage(product)} Cannot sell ${formatQty(quantity, product.unit)}.`);
+      return false;
+    }
+
+    const rate = details.rate !== undefined ? Number(details.rate) : null;
+    const listedAmount = rate !== null ? Math.round(Number(quantity) * rate * 100) / 100 : null;
+    const priceOverride = listedAmount !== null && Math.abs(Number(amount) - listedAmount) > 0.005;
+
+    const sale = {
+      id: generateId(),
+      date,
+      shift,
+      productId,
+      paymentMode,
+      quantity: Number(quantity),
+      rate,
+      priceListId: details.priceListId || null,
+      priceOverride,
+      amount: Number(amount),
+      customer: customer || 'Walk-in',
+      customerId: details.customerId || null,
+      source: details.source || 'counter',
+      notes: notes || '',
+      // Credit sales stay pending until collected against the customer's account
+      paymentStatus: details.paymentStatus || (paymentMode === 'credit' ? 'pending' : 'completed'),
+      upiReference: details.upiReference || null,
+      gatewayTransactionId: details.gatewayTransactionId || null,
+      gatewayAttemptId: details.gatewayAttemptId || null,
+      timestamp: nowTimestamp(),
+    };
+    sale.batches = consumeBatches(productId, sale.quantity);
+
+    const sales = dbGetList(DB_KEYS.sales);
+    sales.push(sale);
+    dbSet(DB_KEYS.sales, sales);
+
+    // Reduce stock
+    adjustStock(productId, -Number(quantity));
+
+    addActivity('sale', `Sold <strong>${formatQty(quantity, product.unit)} ${escHtml(product.name)}</strong> for <strong>${formatCurrency(amount)}</strong> (${paymentModeLabel(paymentMode)})`);
+    if (priceOverride) {
+      MilkSecurity.auditLog('SALE_PRICE_OVERRIDE', `Sale ${sale.id}: ${formatQty(quantity, product.unit)} ${product.name} charged ${formatCurrency(amount)} instead of ${formatCurrency(listedAmount)}`, currentUser?.username);
+      addActivity('alert', `Price override: <strong>${formatCurrency(amount)}</strong> instead of ${formatCurrency(listedAmount)} for ${formatQty(quantity, product.unit)} ${escHtml(product.name)}`);
+    }
+
+    return sale;
+  }
+
+  function filterSales() {
+    const filterDate = document.getElementById('salesFilterDate').value;
+    if (!filterDate) {
+      toast('warning', 'Select Date', 'Please select a date to filter');
+      return;
+    }
+    const filtered = dbGetList(DB_KEYS.sales).filter(s => s.date === filterDate);
+    renderSalesTable(filtered);
+  }
+
+  function clearSalesFilter() {
+    document.getElementById('salesFilterDate').value = '';
+    renderSalesTable(dbGetList(DB_KEYS.sales));
+  }
+
+  // =============== RECEIPTS ===============
+  const RECEIPT_LAYOUTS = { '58mm': '58 mm thermal', '80mm': '80 mm thermal', a5: 'A5 sheet' };
+
+  function buildReceiptHtml(sale) {
+    const product = getProduct(recordProduct(sale));
+    const unit = UNITS[product.unit] || product.unit;
+    const rate = sale.rate !== null && sale.rate !== undefined ? sale.rate : Number(sale.amount) / Number(sale.quantity);
+    return `
+      <div class="receipt">
+        ${printShopHeader()}
+        <h2>Sale Receipt</h2>
+        <div class="receipt-row"><span>Receipt #</span><span class="font-mono">${sale.id.toUpperCase()}</span></div>
+        <div class="receipt-row"><span>Date</span><span>${formatDate(sale.date)} ${formatTime(sale.timestamp)}</span></div>
+        <div class="receipt-row"><span>Customer</span><span>${escHtml(sale.customer || 'Walk-in')}</span></div>
+        <div class="receipt-items">
+          <div class="receipt-row fw-bold"><span>${escHtml(product.name)}</span><span>${formatCurrency(sale.amount)}</span></div>
+          <div class="receipt-row"><span>${formatQty(sale.quantity, product.unit)} × ${formatCurrency(rate)}/${unit}</span></div>
+        </div>
+        <div class="receipt-row receipt-total"><span>Total</span><span>${formatCurrency(sale.amount)}</span></div>
+        <div class="receipt-row"><span>Paid by</span><span>${paymentModeLabel(sale.paymentMode)}</span></div>
+        ${sale.upiReference ? `<div class="receipt-row"><span>UPI Ref</span><span class="font-mono">${escHtml(sale.upiReference)}</span></div>` : ''}
+        <p class="print-footer">Thank you! Visit again.</p>
+      </div>`;
+  }
+
+  function showReceipt(saleId) {
+    const sale = dbGetList(DB_KEYS.sales).find(s => s.id === saleId);
+    if (!sale) return;
+    const layout = (dbGet(DB_KEYS.settings) || {}).receiptLayout || '80mm';
+    document.getElementById('receiptSaleId').value = saleId;
+    document.getElementById('receiptLayout').innerHTML = Object.entries(RECEIPT_LAYOUTS)
+      .map(([value, label]) => `<option value="${value}" ${value === layout ? 'selected' : ''}>${label}</option>`).join('');
+    renderReceiptPreview();
+    openModal('receiptModal');
+  }
+
+  function renderReceiptPreview() {
+    const sale = dbGetList(DB_KEYS.sales).find(s => s.id === document.getElementById('receiptSaleId').value);
+    if (!sale) return;
+    const preview = document.getElementById('receiptPreview');
+    preview.className = `receipt-preview print-${document.getElementById('receiptLayout').value}`;
+    preview.innerHTML = buildReceiptHtml(sale);
+  }
+
+  function printReceipt() {
+    const sale = dbGetList(DB_KEYS.sales).find(s => s.id === document.getElementById('receiptSaleId').value);
+    if (!sale) return;
+    const layout = document.getElementById('receiptLayout').value;
+
+    // Remember the shop's printer choice for next time
+    const settings = dbGet(DB_KEYS.settings) || {};
+    settings.receiptLayout = layout;
+    dbSet(DB_KEYS.settings, settings);
+
+    printDocument(buildReceiptHtml(sale), layout);
+  }
+
+  // =============== UPI RECONCILIATION ===============
+  // Imported statement credits are matched to UPI sales first by the sale's
+  // UPI reference, then by exact amount within a time window on the same day.
+  const RECON_WINDOW_MINUTES = 30;
+
+  function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ',') { cells.push(cell.trim()); cell = ''; }
+      else cell += ch;
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  // Accepts ISO dates, Indian DD/MM/YYYY and "19 Oct 2026", with optional time
+  function parseStatementDateTime(dateText, timeText) {
+    const text = `${dateText || ''} ${timeText || ''}`.trim();
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    let y, mo, d, m;
+    if ((m = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})/))) [, y, mo, d] = m;
+    else if ((m = text.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/))) [, d, mo, y] = m;
+    else if ((m = text.match(/(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s,-]+(\d{2,4})/))) {
+      [, d, mo, y] = m;
+      mo = months.indexOf(mo.toLowerCase()) + 1;
+      if (!mo) return null;
+    } else return null;
+
+    if (String(y).length === 2) y = '20' + y;
+    const pad = n => String(n).padStart(2, '0');
+    const date = `${y}-${pad(mo)}-${pad(d)}`;
+
+    let timestamp = null;
+    const t = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?/);
+    if (t) {
+      let hour = Number(t[1]);
+      if (t[4] && /p/i.test(t[4]) && hour < 12) hour += 12;
+      if (t[4] && /a/i.test(t[4]) && hour === 12) hour = 0;
+      const local = new Date(`${date}T${pad(hour)}:${t[2]}:${t[3] || '00'}`);
+      if (!isNaN(local)) timestamp = local.toISOString();
+    }
+    return { date, timestamp };
+  }
+
+  function parseStatementCsv(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim()).map(parseCsvLine);
+    const headerIdx = rows.findIndex(r => r.some(c => /date/i.test(c)));
+    if (headerIdx < 0) throw new Error('No header row with a date column was found');
+
+    const header = rows[headerIdx].map(h => h.toLowerCase());
+    const col = re => header.findIndex(h => re.test(h));
+    const dateCol = col(/date/);
+    const timeCol = header.findIndex(h => /time/.test(h) && !/date/.test(h));
+    const creditCol = col(/credit|deposit|received/);
+    const amountCol = col(/amount/);
+    const typeCol = col(/^type$|cr\/dr|dr\/cr|debit\/credit/);
+    const refCol = col(/utr|ref|txn id|transaction id|rrn/);
+    const descCol = col(/narration|description|remarks|particulars|details/);
+    if (creditCol < 0 && amountCol < 0) throw new Error('No credit or amount column was found');
+
+    const credits = [];
+    rows.slice(headerIdx + 1).forEach(r => {
+      let amount;
+      if (creditCol >= 0) {
+        amount = Number(String(r[creditCol] || '').replace(/[₹,\s]/g, ''));
+      } else {
+        if (typeCol >= 0 && !/^(cr|credit|c)$/i.test(r[typeCol] || '')) return;
+        amount = Number(String(r[amountCol] || '').replace(/[₹,\s]/g, ''));
+      }
+      const when = parseStatementDateTime(r[dateCol], timeCol >= 0 ? r[timeCol] : '');
+      if (!when || !(amount > 0)) return;
+      credits.push({
+        date: when.date,
+        timestamp: when.timestamp,
+        amount,
+        reference: refCol >= 0 ? r[refCol] || '' : '',
+        description: descCol >= 0 ? r[descCol] || '' : '',
+      });
+    });
+    return credits;
+  }
+
+  function importStatement(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function (e) {
+      let parsed;
+      try {
+        parsed = parseStatementCsv(e.target.result);
+      } catch (err) {
+        toast('error', 'Import Failed', err.message);
+        return;
+      }
+
+      const credits = dbGetList(DB_KEYS.statementCredits);
+      const isDuplicate = c => credits.some(x => x.date === c.date && x.amount === c.amount &&
+        x.reference === c.reference && x.timestamp === c.timestamp);
+      const fresh = parsed.filter(c => !isDuplicate(c)).map(c => ({
+        id: generateId(),
+        ...c,
+        status: 'unmatched',
+        saleId: null,
+        importedFrom: file.name,
+        importedAt: nowTimestamp(),
+      }));
+      dbSet(DB_KEYS.statementCredits, credits.concat(fresh));
+
+      const matched = autoMatchStatement();
+      toast('success', 'Statement Imported', `${fresh.length} new credits, ${matched} matched to UPI sales`);
+      addActivity('sale', `Imported statement <strong>${escHtml(file.name)}</strong> — ${matched} UPI sales reconciled`);
+      refreshReconciliation();
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  }
+
+  function isReconcilableSale(s) {
+    return s.paymentMode === 'upi' && isCountedSale(s) && !s.gatewayTransactionId && s.reconciliationMethod !== 'waived';
+  }
+
+  function linkCreditToSale(credit, sale, method) {
+    credit.status = 'matched';
+    credit.saleId = sale.id;
+    sale.gatewayTransactionId = credit.reference || credit.id;
+    sale.reconciliationMethod = method;
+    sale.reconciledAt = nowTimestamp();
+  }
+
+  function autoMatchStatement() {
+    const sales = dbGetList(DB_KEYS.sales);
+    const credits = dbGetList(DB_KEYS.statementCredits);
+    // Sales on closed days stay as they were locked
+    const open = sales.filter(s => isReconcilableSale(s) && !isDayLocked(s.date));
+    const windowMs = RECON_WINDOW_MINUTES * 60 * 1000;
+    let matched = 0;
+
+    const take = (credit, sale, method) => {
+      linkCreditToSale(credit, sale, method);
+      open.splice(open.indexOf(sale), 1);
+      matched++;
+    };
+
+    // Pass 1: the UPI reference we put in the QR code appears in the credit
+    credits.filter(c => c.status === 'unmatched').forEach(c => {
+      const text = `${c.reference} ${c.description}`.toUpperCase();
+      const sale = open.find(s => s.upiReference && text.includes(s.upiReference.toUpperCase()));
+      if (sale) take(c, sale, 'reference');
+    });
+
+    // Pass 2: same day, same amount, closest in time within the window
+    credits.filter(c => c.status === 'unmatched').forEach(c => {
+      const gap = s => (c.timestamp ? Math.abs(new Date(s.timestamp) - new Date(c.timestamp)) : 0);
+      const candidates = open
+        .filter(s => s.date === c.date && Math.abs(Number(s.amount) - c.amount) < 0.01 && gap(s) <= windowMs)
+        .sort((a, b) => gap(a) - gap(b));
+      if (candidates.length) take(c, candidates[0], 'amount');
+    });
+
+    dbSet(DB_KEYS.sales, sales);
+    dbSet(DB_KEYS.statementCredits, credits);
+    return matched;
+  }
+
+  function getReconciliation(date) {
+    const sales = dbGetList(DB_KEYS.sales).filter(s => s.date === date && s.paymentMode === 'upi' && isCountedSale(s));
+    const credits = dbGetList(DB_KEYS.statementCredits).filter(c => c.date === date);
+    return {
+      sales,
+      matched: sales.filter(s => s.gatewayTransactionId),
+      unmatchedSales: sales.filter(isReconcilableSale),
+      credits,
+      unmatchedCredits: credits.filter(c => c.status === 'unmatched'),
+    };
+  }
+
+  function refreshReconciliation() {
+    const dateInput = document.getElementById('reconDate');
+    if (!dateInput.value) dateInput.value = todayStr();
+    const date = dateInput.value;
+    const r = getReconciliation(date);
+    const credits = dbGetList(DB_KEYS.statementCredits);
+
+    document.getElementById('reconUpiCount').textContent = `${r.sales.length} • ${formatCurrency(r.sales.reduce((sum, s) => sum + Number(s.amount), 0))}`;
+    document.getElementById('reconMatchedCount').textContent = r.matched.length;
+    document.getElementById('reconUnmatchedSales').textContent = r.unmatchedSales.length;
+    document.getElementById('reconUnmatchedCredits').textContent = r.unmatchedCredits.length;
+
+    const creditOptions = r.unmatchedCredits.map(c =>
+      `<option value="${c.id}">${formatCurrency(c.amount)} ${c.timestamp ? formatTime(c.timestamp) : ''} ${escHtml(c.reference)}</option>`).join('');
+    document.getElementById('reconSalesBody').innerHTML = r.unmatchedSales.map(s => `
+      <tr>
+        <td class="font-mono" style="font-size:0.78rem;">${formatTime(s.timestamp)}</td>
+        <td>${escHtml(s.customer || 'Walk-in')}</td>
         <td class="fw-bold">${formatCurrency(s.amount)}</td>
+        <td class="font-mono" style="font-size:0.75rem;">${escHtml(s.upiReference || '—')}</td>
         <td>
-          <span class="badge ${s.paymentMode === 'cash' ? 'badge-success' : 'badge-primary'}">
-            ${s.paymentMode === 'cash' ? '💵 Cash' : '📱 UPI'}
-          </span>
+          <div class="flex gap-sm">
+            ${creditOptions ? `<select class="form-control" style="height:32px;width:auto;" onchange="MilkApp.linkStatementCredit(this.value, '${s.id}')">
+              <option value="">Link credit…</option>${creditOptions}</select>` : ''}
+            <button class="btn btn-ghost btn-sm" onclick="MilkApp.waiveSaleReconciliation('${s.id}')" title="Confirm received without a statement line">✔ Accept</button>
+          </div>
         </td>
-        <td class="font-mono text-muted" style="font-size:0.78rem;">${formatTime(s.timestamp)}</td>
+      </tr>`).join('') || '<tr><td colspan="5" class="text-muted">All UPI sales are reconciled</td></tr>';
+
+    const saleOptions = r.unmatchedSales.map(s =>
+      `<option value="${s.id}">${formatCurrency(s.amount)} ${formatTime(s.timestamp)} ${escHtml(s.customer || 'Walk-in')}</option>`).join('');
+    document.getElementById('reconCreditsBody').innerHTML = r.unmatchedCredits.map(c => `
+      <tr>
+        <td class="font-mono" style="font-size:0.78rem;">${c.timestamp ? formatTime(c.timestamp) : '—'}</td>
+        <td class="fw-bold">${formatCurrency(c.amount)}</td>
         <td>
-          <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.deleteSaleConfirm('${s.id}')" title="Delete">🗑️</button>
+          <div class="font-mono" style="font-size:0.75rem;">${escHtml(c.reference || '—')}</div>
+          <div class="text-muted" style="font-size:0.72rem;">${escHtml(c.description)}</div>
         </td>
+        <td>
+          <div class="flex gap-sm">
+            ${saleOptions ? `<select class="form-control" style="height:32px;width:auto;" onchange="MilkApp.linkStatementCredit('${c.id}', this.value)">
+              <option value="">Link sale…</option>${saleOptions}</select>` : ''}
+            <button class="btn btn-ghost btn-sm" onclick="MilkApp.ignoreStatementCredit('${c.id}')" title="Not a shop sale">🚫 Ignore</button>
+          </div>
+        </td>
+      </tr>`).join('') || '<tr><td colspan="4" class="text-muted">No unmatched credits</td></tr>';
+
+    document.getElementById('reconMatchedBody').innerHTML = r.matched.map(s => {
+      const credit = credits.find(c => c.saleId === s.id);
+      return `
+        <tr>
+          <td class="font-mono" style="font-size:0.78rem;">${formatTime(s.timestamp)}</td>
+          <td>${escHtml(s.customer || 'Walk-in')}</td>
+          <td class="fw-bold">${formatCurrency(s.amount)}</td>
+          <td class="font-mono" style="font-size:0.75rem;">${escHtml(s.gatewayTransactionId)}</td>
+          <td><span class="badge badge-success">${escHtml(s.reconciliationMethod || 'gateway')}</span></td>
+          <td>${credit ? `<button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.unlinkStatementCredit('${credit.id}')" title="Unlink">🔗</button>` : ''}</td>
+        </tr>`;
+    }).join('') || '<tr><td colspan="6" class="text-muted">No matched sales yet</td></tr>';
+  }
+
+  function requireOwnerForRecon() {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can resolve reconciliation');
+      return false;
+    }
+    return true;
+  }
+
+  function linkStatementCredit(creditId, saleId) {
+    if (!creditId || !saleId || !requireOwnerForRecon()) return;
+    const sales = dbGetList(DB_KEYS.sales);
+    const credits = dbGetList(DB_KEYS.statementCredits);
+    const sale = sales.find(s => s.id === saleId);
+    const credit = credits.find(c => c.id === creditId);
+    if (!sale || !credit) return;
+    if (isDayLocked(sale.date)) {
+      toast('error', 'Day Locked', 'Cannot change reconciliation for a closed day');
+      return;
+    }
+
+    linkCreditToSale(credit, sale, 'manual');
+    dbSet(DB_KEYS.sales, sales);
+    dbSet(DB_KEYS.statementCredits, credits);
+    MilkSecurity.auditLog('UPI_MANUAL_MATCH', `Linked credit ${credit.reference || credit.id} (${formatCurrency(credit.amount)}) to sale ${sale.id} (${formatCurrency(sale.amount)})`, currentUser.username);
+    toast('success', 'Linked', `${formatCurrency(credit.amount)} credit linked to sale`);
+    refreshReconciliation();
+  }
+
+  function unlinkStatementCredit(creditId) {
+    if (!requireOwnerForRecon()) return;
+    const sales = dbGetList(DB_KEYS.sales);
+    const credits = dbGetList(DB_KEYS.statementCredits);
+    const credit = credits.find(c => c.id === creditId);
+    if (!credit) return;
+    const sale = sales.find(s => s.id === credit.saleId);
+    if (isDayLocked(sale ? sale.date : credit.date)) {
+      toast('error', 'Day Locked', 'Cannot change reconciliation for a closed day');
+      return;
+    }
+    if (sale) {
+      sale.gatewayTransactionId = null;
+      sale.reconciliationMethod = null;
+      sale.reconciledAt = null;
+    }
+    credit.status = 'unmatched';
+    credit.saleId = null;
+    dbSet(DB_KEYS.sales, sales);
+    dbSet(DB_KEYS.statementCredits, credits);
+    MilkSecurity.auditLog('UPI_UNLINKED', `Unlinked credit ${credit.reference || credit.id} (${formatCurrency(credit.amount)})${sale ? ` from sale ${sale.id} (${formatCurrency(sale.amount)})` : ''}`, currentUser.username);
+    refreshReconciliation();
+  }
+
+  function ignoreStatementCredit(creditId) {
+    if (!requireOwnerForRecon()) return;
+    const credits = dbGetList(DB_KEYS.statementCredits);
+    const credit = credits.find(c => c.id === creditId);
+    if (!credit) return;
+    credit.status = 'ignored';
+    dbSet(DB_KEYS.statementCredits, credits);
+    MilkSecurity.auditLog('UPI_CREDIT_IGNORED', `Ignored statement credit ${credit.reference || credit.id} (${formatCurrency(credit.amount)})`, currentUser.username);
+    refreshReconciliation();
+  }
+
+  function waiveSaleReconciliation(saleId) {
+    if (!requireOwnerForRecon()) return;
+    const sale = dbGetList(DB_KEYS.sales).find(s => s.id === saleId);
+    if (!sale) return;
+    if (isDayLocked(sale.date)) {
+      toast('error', 'Day Locked', 'Cannot change reconciliation for a closed day');
+      return;
+    }
+    showConfirm('✔', 'Accept Without Statement?', `Confirm that ${formatCurrency(sale.amount)} was received even though no statement credit matches it.`, '✔ Accept', 'btn-primary', () => {
+      const sales = dbGetList(DB_KEYS.sales);
+      const target = sales.find(s => s.id === saleId);
+      target.reconciliationMethod = 'waived';
+      target.reconciledAt = nowTimestamp();
+      dbSet(DB_KEYS.sales, sales);
+      MilkSecurity.auditLog('UPI_SALE_WAIVED', `Accepted UPI sale ${sale.id} (${formatCurrency(sale.amount)}) without a statement credit`, currentUser.username);
+      refreshReconciliation();
+    });
+  }
+
+  // =============== PAYMENT EVENTS (GATEWAY) ===============
+  // Contract for real-time UPI entries. A gateway (or a local relay in front
+  // of one) delivers the raw JSON body plus an HMAC-SHA256 hex signature made
+  // with the shop's gateway secret:
+  //
+  //   { "id": "evt_123", "type": "payment.completed",
+  //     "data": { "transactionId": "pay_9", "reference": "MF…", "amount": 120,
+  //               "quantity": 2, "productId": "milk", "payerName": "…" } }
+  //
+  // type is payment.pending | payment.completed | payment.failed. The sale is
+  // found by UPI reference or transaction id and its status updated; unknown
+  // pending/completed payments create a new UPI sale. Events are idempotent
+  // on their id.
+  const PAYMENT_EVENT_STATUS = {
+    'payment.pending': 'pending',
+    'payment.completed': 'completed',
+    'payment.failed': 'failed',
+  };
+
+  function logPaymentEvent(event, result) {
+    const events = dbGetList(DB_KEYS.paymentEvents);
+    events.unshift({
+      id: event && event.id ? String(event.id) : null,
+      type: event && event.type ? String(event.type) : null,
+      transactionId: event && event.data ? event.data.transactionId || null : null,
+      amount: event && event.data ? Number(event.data.amount) || 0 : 0,
+      ok: result.ok,
+      result: result.ok ? result.action : result.error,
+      saleId: result.saleId || null,
+      receivedAt: nowTimestamp(),
+    });
+    if (events.length > 200) events.length = 200;
+    dbSet(DB_KEYS.paymentEvents, events);
+    return result;
+  }
+
+  // Moves a sale between payment states, restoring stock when a payment
+  // fails and taking it again if a failed payment is later completed
+  function setSalePaymentStatus(sale, status) {
+    const product = getProduct(recordProduct(sale));
+    if (sale.paymentStatus !== 'failed' && status === 'failed') {
+      adjustStock(product.id, Number(sale.quantity));
+      returnBatches(sale.batches);
+      sale.batches = [];
+    } else if (sale.paymentStatus === 'failed' && status !== 'failed') {
+      if (Number(sale.quantity) > getSellableStock(product.id)) return false;
+      adjustStock(product.id, -Number(sale.quantity));
+      sale.batches = consumeBatches(product.id, sale.quantity);
+    }
+    sale.paymentStatus = status;
+    return true;
+  }
+
+  // A pending gateway payment whose final event never arrived is settled by hand.
+  // Received sales are left for statement reconciliation like any other UPI sale.
+  function resolvePendingUpiSale(saleId, status) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can resolve pending payments');
+      return;
+    }
+    const sale = dbGetList(DB_KEYS.sales).find(s => s.id === saleId);
+    if (!sale || sale.voided || !isAwaitingGateway(sale)) return;
+    if (isDayLocked(sale.date)) {
+      toast('error', 'Day Locked', 'Cannot change payments for a closed day');
+      return;
+    }
+
+    const failed = status === 'failed';
+    const message = failed
+      ? `Mark the ${formatCurrency(sale.amount)} UPI payment as failed? The sale stops counting and its stock is returned.`
+      : `Mark the ${formatCurrency(sale.amount)} UPI payment as received? Only do this once the money shows in the bank.`;
+    showConfirm(failed ? '❌' : '✅', failed ? 'Mark Payment Failed?' : 'Mark Payment Received?', message,
+      failed ? '❌ Mark Failed' : '✅ Mark Received', failed ? 'btn-danger' : 'btn-success', () => {
+        const sales = dbGetList(DB_KEYS.sales);
+        const stored = sales.find(s => s.id === saleId);
+        if (!stored || !isAwaitingGateway(stored) || !setSalePaymentStatus(stored, status)) return;
+        dbSet(DB_KEYS.sales, sales);
+
+        MilkSecurity.auditLog('UPI_PENDING_RESOLVED', `Sale ${stored.id} (${formatCurrency(stored.amount)}) marked ${failed ? 'failed' : 'received'} without a gateway event`, currentUser.username);
+        addActivity(failed ? 'alert' : 'sale', `Pending UPI payment of <strong>${formatCurrency(stored.amount)}</strong> marked ${failed ? 'failed' : 'received'}`);
+        toast('success', 'Payment Resolved', `${formatCurrency(stored.amount)} marked ${failed ? 'failed' : 'received'}`);
+        refreshLivePages();
+      });
+  }
+
+  function isGatewayConnected() {
+    return !!(dbGet(DB_KEYS.settings) || {}).gatewaySecret;
+  }
+
+  async function ingestPaymentEvent(rawBody, signature) {
+    const secret = (dbGet(DB_KEYS.settings) || {}).gatewaySecret;
+    if (!secret) {
+      return logPaymentEvent(null, { ok: false, error: 'Gateway secret is not configured' });
+    }
+    if (!(await MilkSecurity.verifyMessageSignature(rawBody, signature, secret))) {
+      MilkSecurity.auditLog('PAYMENT_EVENT_REJECTED', 'Payment event with an invalid signature', 'gateway');
+      return logPaymentEvent(null, { ok: false, error: 'Invalid signature' });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch {
+      return logPaymentEvent(null, { ok: false, error: 'Body is not valid JSON' });
+    }
+
+    const status = PAYMENT_EVENT_STATUS[event.type];
+    const data = event.data || {};
+    const amount = Number(data.amount);
+    if (!event.id || !status || !data.transactionId || !(amount > 0)) {
+      return logPaymentEvent(event, { ok: false, error: 'Missing id, type, transactionId or amount' });
+    }
+    if (data.currency && data.currency !== 'INR') {
+      return logPaymentEvent(event, { ok: false, error: `Unsupported currency ${data.currency}` });
+    }
+
+    const seen = dbGetList(DB_KEYS.paymentEvents).find(e => e.id === String(event.id) && e.ok);
+    if (seen) {
+      return { ok: true, action: 'duplicate', saleId: seen.saleId };
+    }
+
+    const sales = dbGetList(DB_KEYS.sales);
+    const sale = sales.find(s => s.paymentMode === 'upi' &&
+      ((data.reference && s.upiReference === data.reference) || [s.gatewayTransactionId, s.gatewayAttemptId].includes(data.transactionId)));
+
+    if (sale) {
+      if (isDayLocked(sale.date)) {
+        return logPaymentEvent(event, { ok: false, error: 'Sale belongs to a closed day', saleId: sale.id });
+      }
+      if (sale.voided) {
+        return logPaymentEvent(event, { ok: false, error: 'Sale has been voided', saleId: sale.id });
+      }
+      if (Math.abs(Number(sale.amount) - amount) > 0.005) {
+        return logPaymentEvent(event, { ok: false, error: `Amount ${amount} does not match sale amount ${sale.amount}`, saleId: sale.id });
+      }
+      if (sale.paymentStatus === 'completed' && status === 'pending') {
+        return logPaymentEvent(event, { ok: true, action: 'ignored-stale', saleId: sale.id });
+      }
+      if (!setSalePaymentStatus(sale, status)) {
+        return logPaymentEvent(event, { ok: false, error: 'Not enough stock to reinstate the sale', saleId: sale.id });
+      }
+      // Only a completed payment settles the sale; until then the id just lets later events find it
+      if (status === 'completed') {
+        sale.gatewayTransactionId = data.transactionId;
+        sale.reconciliationMethod = 'gateway';
+        sale.reconciledAt = nowTimestamp();
+      } else {
+        sale.gatewayAttemptId = data.transactionId;
+        if (sale.reconciliationMethod === 'gateway') {
+          sale.gatewayTransactionId = null;
+          sale.reconciliationMethod = null;
+          sale.reconciledAt = null;
+        }
+      }
+      dbSet(DB_KEYS.sales, sales);
+      addActivity(status === 'failed' ? 'alert' : 'sale', `UPI payment <strong>${escHtml(status)}</strong> for ${formatCurrency(amount)} (${escHtml(data.transactionId)})`);
+      refreshLivePages();
+      return logPaymentEvent(event, { ok: true, action: `updated:${status}`, saleId: sale.id });
+    }
+
+    if (status === 'failed') {
+      return logPaymentEvent(event, { ok: true, action: 'no-sale' });
+    }
+
+    // Unknown payment: record it as a counter sale priced from the default list
+    const date = todayStr();
+    const productId = data.productId && getProducts(true).some(p => p.id === data.productId) ? data.productId : MILK_PRODUCT_ID;
+    const { rate, priceListId } = getSaleRate(productId, date, null);
+    const quantity = Number(data.quantity) > 0 ? Number(data.quantity) : (rate > 0 ? Math.round(amount / rate * 100) / 100 : 0);
+    if (!(quantity > 0)) {
+      return logPaymentEvent(event, { ok: false, error: 'Cannot work out the quantity for this payment' });
+    }
+
+    const created = addSale(date, 'upi', quantity, amount, data.payerName || 'UPI customer', `Gateway payment ${data.transactionId}`, {
+      productId,
+      source: 'gateway',
+      paymentStatus: status,
+      gatewayTransactionId: status === 'completed' ? data.transactionId : null,
+      gatewayAttemptId: status === 'completed' ? null : data.transactionId,
+      upiReference: data.reference || null,
+      rate: Number(data.quantity) > 0 ? rate : undefined,
+      priceListId,
+    });
+    if (!created) {
+      return logPaymentEvent(event, { ok: false, error: 'Sale could not be recorded (day/shift locked or not enough stock)' });
+    }
+    if (status === 'completed') {
+      const all = dbGetList(DB_KEYS.sales);
+      const stored = all.find(s => s.id === created.id);
+      stored.reconciliationMethod = 'gateway';
+      stored.reconciledAt = nowTimestamp();
+      dbSet(DB_KEYS.sales, all);
+    }
+    refreshLivePages();
+    return logPaymentEvent(event, { ok: true, action: `created:${status}`, saleId: created.id });
+  }
+
+  function renderGatewaySettings() {
+    const settings = dbGet(DB_KEYS.settings) || {};
+    document.getElementById('gatewaySecret').value = settings.gatewaySecret || '';
+    document.getElementById('gatewayTestMode').checked = !!settings.gatewayTestMode;
+    document.getElementById('mockGatewayPanel').style.display = settings.gatewayTestMode ? '' : 'none';
+    if (settings.gatewayTestMode) loadMockGateway();
+    document.getElementById('paymentEventList').innerHTML = dbGetList(DB_KEYS.paymentEvents).slice(0, 10).map(e => `
+      <div class="report-row">
+        <span class="label">
+          <span class="badge ${e.ok ? 'badge-success' : 'badge-danger'}">${e.ok ? '✓' : '✗'}</span>
+          ${escHtml(e.type || 'unknown')} ${e.amount ? formatCurrency(e.amount) : ''}
+          <span class="text-muted" style="font-size:0.72rem;">${formatTime(e.receivedAt)}</span>
+        </span>
+        <span class="value" style="font-size:0.78rem;">${escHtml(e.result)}</span>
+      </div>`).join('') || '<p class="text-muted" style="font-size:0.82rem;">No payment events received yet</p>';
+  }
+
+  function generateGatewaySecret() {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can change the gateway secret');
+      return;
+    }
+    const settings = dbGet(DB_KEYS.settings) || {};
+    settings.gatewaySecret = 'whsec_' + MilkSecurity.generateSalt() + MilkSecurity.generateSalt();
+    dbSet(DB_KEYS.settings, settings);
+    MilkSecurity.auditLog('GATEWAY_SECRET_ROTATED', 'Generated a new payment gateway secret', currentUser.username);
+    toast('success', 'Secret Generated', 'Configure the same secret in your gateway or relay');
+    renderGatewaySettings();
+  }
+
+  // The mock signs with the live secret, so it is only loaded in an owner-enabled test mode
+  function loadMockGateway() {
+    if (typeof MilkMockGateway !== 'undefined' || document.getElementById('mockGatewayScript')) return;
+    const script = document.createElement('script');
+    script.id = 'mockGatewayScript';
+    script.src = 'js/mock-gateway.js';
+    document.head.appendChild(script);
+  }
+
+  function setGatewayTestMode(enabled) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can change gateway test mode');
+      renderGatewaySettings();
+      return;
+    }
+    const settings = dbGet(DB_KEYS.settings) || {};
+    settings.gatewayTestMode = !!enabled;
+    dbSet(DB_KEYS.settings, settings);
+    MilkSecurity.auditLog('GATEWAY_TEST_MODE', `Gateway test mode ${enabled ? 'enabled' : 'disabled'}`, currentUser.username);
+    toast(enabled ? 'warning' : 'info', 'Gateway Test Mode', enabled
+      ? 'Mock events are signed with the live secret and can settle real sales'
+      : 'The mock gateway is disabled');
+    renderGatewaySettings();
+  }
+
+  async function sendMockPaymentEvent() {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can send test payment events');
+      return;
+    }
+    if (!(dbGet(DB_KEYS.settings) || {}).gatewayTestMode || typeof MilkMockGateway === 'undefined') {
+      toast('error', 'Test Mode Off', 'Enable gateway test mode to use the mock gateway');
+      return;
+    }
+    const result = await MilkMockGateway.send(
+      document.getElementById('mockEventType').value,
+      document.getElementById('mockReference').value.trim(),
+      Number(document.getElementById('mockAmount').value)
+    );
+    if (result.ok) toast('success', 'Mock Event Delivered', result.action);
+    else toast('error', 'Mock Event Rejected', result.error);
+    renderGatewaySettings();
+  }
+
+  // =============== CUSTOMERS & SUBSCRIPTIONS ===============
+  function isCustomerPaused(customer, date) {
+    return (customer.pauses || []).some(p => date >= p.from && date <= p.to);
+  }
+
+  function isDeliveryDue(customer, date) {
+    return customer.status === 'active' && customer.startDate <= date && !isCustomerPaused(customer, date);
+  }
+
+  function refreshCustomers() {
+    if (!document.getElementById('deliveryDate').value) {
+      document.getElementById('deliveryDate').value = todayStr();
+    }
+    const date = document.getElementById('deliveryDate').value;
+    const customers = dbGetList(DB_KEYS.customers);
+    const tbody = document.getElementById('customerTableBody');
+    const empty = document.getElementById('customerEmpty');
+    const table = document.getElementById('customerTable');
+
+    const due = customers.filter(c => isDeliveryDue(c, date));
+    document.getElementById('deliveryDueCount').textContent = due.length;
+    document.getElementById('deliveryDueQty').textContent = formatQty(due.filter(c => c.productId === MILK_PRODUCT_ID).reduce((sum, c) => sum + Number(c.dailyQuantity), 0));
+    document.getElementById('deliveryDoneCount').textContent = dbGetList(DB_KEYS.sales)
+      .filter(s => s.date === date && s.source === 'subscription' && !s.voided).length;
+
+    if (customers.length === 0) {
+      table.style.display = 'none';
+      empty.style.display = '';
+      return;
+    }
+    table.style.display = '';
+    empty.style.display = 'none';
+
+    const balances = {};
+    customers.forEach(c => { balances[c.id] = getCustomerBalance(c.id); });
+
+    tbody.innerHTML = customers.map(c => {
+      const product = getProduct(c.productId);
+      const pricing = getSaleRate(c.productId, date, c.id);
+      const paused = isCustomerPaused(c, date);
+      const upcoming = (c.pauses || []).filter(p => p.to >= date);
+      let badge = '<span class="badge badge-success">Active</span>';
+      if (c.status !== 'active') badge = '<span class="badge badge-danger">Inactive</span>';
+      else if (c.startDate > date) badge = `<span class="badge badge-primary">Starts ${formatDateShort(c.startDate)}</span>`;
+      else if (paused) badge = '<span class="badge badge-warning">⏸ Paused</span>';
+
+      return `
+        <tr>
+          <td>
+            <div class="fw-bold">${escHtml(c.name)}</div>
+            <div class="text-muted" style="font-size:0.75rem;">${escHtml(c.address || '—')}</div>
+          </td>
+          <td class="font-mono" style="font-size:0.82rem;">${escHtml(c.phone || '—')}</td>
+          <td class="fw-bold">${formatQty(c.dailyQuantity, product.unit)} ${escHtml(product.name)} • ${SHIFTS[c.deliveryShift || 'morning']}</td>
+          <td>
+            ${formatCurrency(pricing.rate)} / ${UNITS[product.unit] || product.unit}
+            <div class="text-muted" style="font-size:0.72rem;">${escHtml(pricing.label)}</div>
+          </td>
+          <td class="fw-bold ${balances[c.id] > 0 ? 'text-warning' : 'text-success'}">${formatCurrency(balances[c.id])}</td>
+          <td>
+            ${badge}
+            ${upcoming.length ? `<div class="text-muted" style="font-size:0.72rem;margin-top:4px;">${upcoming.map(p => `${formatDateShort(p.from)}–${formatDateShort(p.to)}`).join(', ')}</div>` : ''}
+          </td>
+          <td>
+            <div class="flex gap-sm">
+              <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showCustomerModal('${c.id}')" title="Edit">✏️</button>
+              <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showCustomerPaymentModal('${c.id}')" title="Record Collection">💳</button>
+              <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showCustomerBill('${c.id}')" title="Monthly Bill">🧾</button>
+              <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.showPauseModal('${c.id}')" title="Pause Dates">⏸</button>
+              <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.toggleCustomerStatus('${c.id}')" title="Toggle Status">
+                ${c.status === 'active' ? '🔴' : '🟢'}
+              </button>
+            </div>
+          </td>
+        </tr>`;
+    }).join('');
+  }
+
+  function showCustomerModal(editId) {
+    document.getElementById('customerForm').reset();
+    document.getElementById('customerId').value = '';
+    document.getElementById('customerModalTitle').textContent = 'Add Customer';
+    document.getElementById('customerProduct').innerHTML = productOptions(MILK_PRODUCT_ID);
+    document.getElementById('customerStart').value = todayStr();
+    document.getElementById('customerPriceList').innerHTML = priceListOptions();
+
+    const c = editId && dbGetList(DB_KEYS.customers).find(x => x.id === editId);
+    if (c) {
+      document.getElementById('customerModalTitle').textContent = 'Edit Customer';
+      document.getElementById('customerId').value = c.id;
+      document.getElementById('customerName').value = c.name;
+      document.getElementById('customerPhone').value = c.phone || '';
+      document.getElementById('customerAddress').value = c.address || '';
+      document.getElementById('customerProduct').value = c.productId;
+      document.getElementById('customerQty').value = c.dailyQuantity;
+      document.getElementById('customerPrice').value = c.price ?? '';
+      document.getElementById('customerPriceList').innerHTML = priceListOptions(c.priceListId);
+      document.getElementById('customerStart').value = c.startDate;
+      document.getElementById('customerShift').value = c.deliveryShift || 'morning';
+      document.getElementById('customerMode').value = c.paymentMode || 'cash';
+    }
+    openModal('customerModal');
+  }
+
+  function saveCustomer() {
+    const editId = document.getElementById('customerId').value;
+    const name = document.getElementById('customerName').value.trim();
+    const fields = {
+      name,
+      phone: document.getElementById('customerPhone').value.trim(),
+      address: document.getElementById('customerAddress').value.trim(),
+      productId: document.getElementById('customerProduct').value,
+      dailyQuantity: Number(document.getElementById('customerQty').value),
+      priceListId: document.getElementById('customerPriceList').value,
+      price: document.getElementById('customerPrice').value === '' ? null : Number(document.getElementById('customerPrice').value),
+      startDate: document.getElementById('customerStart').value,
+      deliveryShift: document.getElementById('customerShift').value,
+      paymentMode: document.getElementById('customerMode').value,
+    };
+
+    if (!name || !fields.startDate || !(fields.dailyQuantity > 0) || (fields.price !== null && !(fields.price >= 0))) {
+      toast('error', 'Validation Error', 'Name, start date and a daily quantity are required');
+      return;
+    }
+
+    const customers = dbGetList(DB_KEYS.customers);
+    if (editId) {
+      const idx = customers.findIndex(c => c.id === editId);
+      if (idx >= 0) {
+        customers[idx] = { ...customers[idx], ...fields };
+        toast('success', 'Customer Updated', `${name} has been updated`);
+      }
+    } else {
+      customers.push({ id: generateId(), ...fields, pauses: [], status: 'active', createdAt: nowTimestamp() });
+      toast('success', 'Customer Added', `${name} will get ${formatQty(fields.dailyQuantity, getProduct(fields.productId).unit)} per day from ${formatDate(fields.startDate)}`);
+      addActivity('sale', `Added subscriber <strong>${escHtml(name)}</strong>`);
+    }
+
+    dbSet(DB_KEYS.customers, customers);
+    closeModal('customerModal');
+    refreshCustomers();
+  }
+
+  function toggleCustomerStatus(id) {
+    const customers = dbGetList(DB_KEYS.customers);
+    const c = customers.find(x => x.id === id);
+    if (c) {
+      c.status = c.status === 'active' ? 'inactive' : 'active';
+      dbSet(DB_KEYS.customers, customers);
+      toast('info', 'Status Changed', `${c.name} is now ${c.status}`);
+      refreshCustomers();
+    }
+  }
+
+  function showPauseModal(id) {
+    const c = dbGetList(DB_KEYS.customers).find(x => x.id === id);
+    if (!c) return;
+    document.getElementById('pauseForm').reset();
+    document.getElementById('pauseCustomerId').value = id;
+    document.getElementById('pauseCustomerName').textContent = c.name;
+    document.getElementById('pauseFrom').value = todayStr();
+    renderPauseList(c);
+    openModal('pauseModal');
+  }
+
+  function renderPauseList(c) {
+    const list = document.getElementById('pauseList');
+    const pauses = c.pauses || [];
+    list.innerHTML = pauses.length === 0
+      ? '<p class="text-muted" style="font-size:0.82rem;">No pauses scheduled</p>'
+      : pauses.map((p, idx) => `
+        <div class="report-row">
+          <span class="label">${formatDate(p.from)} – ${formatDate(p.to)}</span>
+          <button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.removePause('${c.id}', ${idx})" title="Remove">🗑️</button>
+        </div>`).join('');
+  }
+
+  function addPause() {
+    const id = document.getElementById('pauseCustomerId').value;
+    const from = document.getElementById('pauseFrom').value;
+    const to = document.getElementById('pauseTo').value;
+    if (!from || !to || from > to) {
+      toast('error', 'Invalid Dates', 'Pause end date must be on or after the start date');
+      return;
+    }
+    const customers = dbGetList(DB_KEYS.customers);
+    const c = customers.find(x => x.id === id);
+    if (!c) return;
+    c.pauses = [...(c.pauses || []), { from, to }].sort((a, b) => a.from.localeCompare(b.from));
+    dbSet(DB_KEYS.customers, customers);
+    toast('success', 'Delivery Paused', `${c.name}: no delivery ${formatDateShort(from)} – ${formatDateShort(to)}`);
+    renderPauseList(c);
+    refreshCustomers();
+  }
+
+  function removePause(id, index) {
+    const customers = dbGetList(DB_KEYS.customers);
+    const c = customers.find(x => x.id === id);
+    if (!c || !c.pauses) return;
+    c.pauses.splice(index, 1);
+    dbSet(DB_KEYS.customers, customers);
+    renderPauseList(c);
+    refreshCustomers();
+  }
+
+  // Creates one sale per due subscriber through addSale, so stock, locks and
+  // activities behave exactly like a counter sale. Re-running is safe.
+  function generateDeliveries() {
+    const date = document.getElementById('deliveryDate').value || todayStr();
+    const delivered = new Set(dbGetList(DB_KEYS.sales)
+      .filter(s => s.date === date && s.source === 'subscription')
+      .map(s => s.customerId));
+    const due = dbGetList(DB_KEYS.customers).filter(c => isDeliveryDue(c, date) && !delivered.has(c.id));
+
+    if (due.length === 0) {
+      toast('info', 'Nothing to Generate', `All deliveries for ${formatDate(date)} are already recorded`);
+      return;
+    }
+
+    let created = 0;
+    for (const c of due) {
+      const { rate, priceListId } = getSaleRate(c.productId, date, c.id);
+      const ok = addSale(date, c.paymentMode || 'cash', c.dailyQuantity, Math.round(Number(c.dailyQuantity) * rate * 100) / 100, c.name, 'Subscription delivery', {
+        shift: c.deliveryShift || 'morning',
+        productId: c.productId,
+        customerId: c.id,
+        source: 'subscription',
+        rate,
+        priceListId,
+      });
+      if (!ok) break;
+      created++;
+    }
+
+    if (created > 0) {
+      toast('success', 'Deliveries Generated', `${created} of ${due.length} deliveries recorded for ${formatDate(date)}`);
+    }
+    refreshCustomers();
+  }
+
+  // =============== CUSTOMER CREDIT (KHATA) ===============
+  // Credit sales are charged to the account; collections pay it down.
+  function getCustomerLedger(customerId) {
+    const lines = [];
+
+    dbGetList(DB_KEYS.sales).filter(s => s.customerId === customerId && s.paymentMode === 'credit' && !s.voided).forEach(s => {
+      const product = getProduct(recordProduct(s));
+      lines.push({
+        date: s.date,
+        timestamp: s.timestamp,
+        type: 'sale',
+        quantity: Number(s.quantity),
+        productId: product.id,
+        description: `${formatQty(s.quantity, product.unit)} ${product.name}`,
+        debit: Number(s.amount),
+        credit: 0,
+      });
+    });
+
+    dbGetList(DB_KEYS.customerPayments).filter(p => p.customerId === customerId).forEach(p => {
+      lines.push({
+        date: p.date,
+        timestamp: p.timestamp,
+        type: 'payment',
+        description: `Received (${paymentModeLabel(p.mode)})${p.reference ? ' — Ref ' + p.reference : ''}`,
+        debit: 0,
+        credit: Number(p.amount),
+      });
+    });
+
+    lines.sort((a, b) => a.date.localeCompare(b.date) || new Date(a.timestamp) - new Date(b.timestamp));
+
+    let balance = 0;
+    lines.forEach(line => {
+      balance += line.debit - line.credit;
+      line.balance = balance;
+    });
+    return lines;
+  }
+
+  function getCustomerBalance(customerId) {
+    return getCustomerLedger(customerId).reduce((sum, l) => sum + l.debit - l.credit, 0);
+  }
+
+  // Quantities only add up within a product, so bills carry one total per product
+  function sumQuantities(lines) {
+    const totals = {};
+    lines.forEach(l => { totals[l.productId] = (totals[l.productId] || 0) + l.quantity; });
+    return Object.entries(totals).map(([productId, quantity]) => ({ productId, quantity }));
+  }
+
+  function formatQuantities(quantities) {
+    return quantities.map(q => {
+      const product = getProduct(q.productId);
+      return `${formatQty(q.quantity, product.unit)} ${product.name}`;
+    }).join(', ');
+  }
+
+  function getCustomerBill(customerId, month) {
+    const from = month + '-01';
+    const to = monthEnd(from);
+    const ledger = getCustomerLedger(customerId);
+    const before = ledger.filter(l => l.date < from);
+    const inMonth = ledger.filter(l => l.date >= from && l.date <= to);
+
+    const days = [];
+    for (let d = from; d <= to; d = addDays(d, 1)) {
+      const daySales = inMonth.filter(l => l.type === 'sale' && l.date === d);
+      if (daySales.length === 0) continue;
+      days.push({
+        date: d,
+        description: daySales.map(l => l.description).join(', '),
+        quantities: sumQuantities(daySales),
+        amount: daySales.reduce((sum, l) => sum + l.debit, 0),
+      });
+    }
+
+    const openingBalance = before.length ? before[before.length - 1].balance : 0;
+    const amount = days.reduce((sum, d) => sum + d.amount, 0);
+    const received = inMonth.reduce((sum, l) => sum + l.credit, 0);
+    return {
+      from,
+      to,
+      days,
+      payments: inMonth.filter(l => l.type === 'payment'),
+      openingBalance,
+      quantities: sumQuantities(inMonth.filter(l => l.type === 'sale')),
+      amount,
+      received,
+      balanceDue: openingBalance + amount - received,
+    };
+  }
+
+  function showCustomerPaymentModal(customerId) {
+    const c = dbGetList(DB_KEYS.customers).find(x => x.id === customerId);
+    if (!c) return;
+
+    document.getElementById('customerPaymentForm').reset();
+    document.getElementById('collectCustomerId').value = customerId;
+    document.getElementById('collectCustomerName').textContent = c.name;
+    document.getElementById('collectDate').value = todayStr();
+    const balance = getCustomerBalance(customerId);
+    document.getElementById('collectBalance').textContent = formatCurrency(balance);
+    document.getElementById('collectAmount').value = balance > 0 ? balance : '';
+    openModal('customerPaymentModal');
+  }
+
+  function addCustomerPayment(date, customerId, amount, mode, reference, notes) {
+    if (isDayLocked(date)) {
+      toast('error', 'Day Locked', 'Cannot record collections for a closed day');
+      return false;
+    }
+
+    const payment = {
+      id: generateId(),
+      date,
+      customerId,
+      amount: Number(amount),
+      mode,
+      reference: reference || '',
+      notes: notes || '',
+      recordedBy: currentUser?.username,
+      timestamp: nowTimestamp(),
+    };
+
+    const payments = dbGetList(DB_KEYS.customerPayments);
+    payments.push(payment);
+    dbSet(DB_KEYS.customerPayments, payments);
+
+    const c = dbGetList(DB_KEYS.customers).find(x => x.id === customerId);
+    addActivity('sale', `Collected <strong>${formatCurrency(amount)}</strong> from <strong>${c ? escHtml(c.name) : 'Unknown'}</strong> (${paymentModeLabel(mode)})`);
+
+    return true;
+  }
+
+  function saveCustomerPayment() {
+    const customerId = document.getElementById('collectCustomerId').value;
+    const date = document.getElementById('collectDate').value;
+    const amount = Number(document.getElementById('collectAmount').value);
+    const mode = document.getElementById('collectMode').value;
+    const reference = document.getElementById('collectReference').value.trim();
+    const notes = document.getElementById('collectNotes').value.trim();
+
+    if (!date || !(amount > 0)) {
+      toast('error', 'Validation Error', 'Collection date and a positive amount are required');
+      return;
+    }
+
+    if (addCustomerPayment(date, customerId, amount, mode, reference, notes)) {
+      toast('success', 'Collection Recorded', `${formatCurrency(amount)} received`);
+      closeModal('customerPaymentModal');
+      refreshCustomers();
+    }
+  }
+
+  function showCustomerBill(customerId) {
+    const c = dbGetList(DB_KEYS.customers).find(x => x.id === customerId);
+    if (!c) return;
+    document.getElementById('billCustomerId').value = customerId;
+    document.getElementById('billCustomerName').textContent = c.name;
+    document.getElementById('customerBillMonth').value = todayStr().slice(0, 7);
+    renderCustomerBill();
+    openModal('customerBillModal');
+  }
+
+  function renderCustomerBill() {
+    const customerId = document.getElementById('billCustomerId').value;
+    const month = document.getElementById('customerBillMonth').value;
+    if (!customerId || !month) return;
+    const bill = getCustomerBill(customerId, month);
+
+    document.getElementById('billOpening').textContent = formatCurrency(bill.openingBalance);
+    document.getElementById('billAmount').textContent = formatCurrency(bill.amount);
+    document.getElementById('billReceived').textContent = formatCurrency(bill.received);
+    const dueEl = document.getElementById('billDue');
+    dueEl.textContent = formatCurrency(bill.balanceDue);
+    dueEl.className = `info-value ${bill.balanceDue > 0 ? 'text-warning' : 'text-success'}`;
+
+    document.getElementById('billEmpty').style.display = bill.days.length ? 'none' : '';
+    document.getElementById('billTableBody').innerHTML = bill.days.map(d => `
+      <tr>
+        <td>${formatDate(d.date)}</td>
+        <td>${escHtml(d.description)}</td>
+        <td class="fw-bold">${escHtml(formatQuantities(d.quantities))}</td>
+        <td class="fw-bold">${formatCurrency(d.amount)}</td>
       </tr>
     `).join('');
   }
 
-  function addSale(date, paymentMode, quantity, amount, customer, notes) {
+  function printCustomerBill() {
+    const customerId = document.getElementById('billCustomerId').value;
+    const month = document.getElementById('customerBillMonth').value;
+    const c = dbGetList(DB_KEYS.customers).find(x => x.id === customerId);
+    if (!c || !month) return;
+    const bill = getCustomerBill(customerId, month);
+
+    const rows = bill.days.map(d => `
+      <tr>
+        <td>${formatDate(d.date)}</td>
+        <td>${escHtml(d.description)}</td>
+        <td class="num">${escHtml(formatQuantities(d.quantities))}</td>
+        <td class="num">${formatCurrency(d.amount)}</td>
+      </tr>`).join('');
+    const payments = bill.payments.map(p => `
+      <div><span>${formatDate(p.date)} — ${escHtml(p.description)}</span><span>${formatCurrency(p.credit)}</span></div>`).join('');
+
+    printDocument(`
+      ${printShopHeader()}
+      <h2>Monthly Bill</h2>
+      <div class="print-meta">
+        <div><strong>${escHtml(c.name)}</strong>${c.phone ? ' • ' + escHtml(c.phone) : ''}</div>
+        ${c.address ? `<div>${escHtml(c.address)}</div>` : ''}
+        <div>Period: ${formatDate(bill.from)} – ${formatDate(bill.to)}</div>
+      </div>
+      <table>
+        <thead>
+          <tr><th>Date</th><th>Items</th><th class="num">Qty</th><th class="num">Amount</th></tr>
+        </thead>
+        <tbody>
+          ${rows || '<tr><td colspan="4">No credit purchases this month</td></tr>'}
+        </tbody>
+      </table>
+      <div class="print-totals">
+        <div><span>Previous balance</span><span>${formatCurrency(bill.openingBalance)}</span></div>
+        <div><span>This month${bill.quantities.length ? ` (${escHtml(formatQuantities(bill.quantities))})` : ''}</span><span>${formatCurrency(bill.amount)}</span></div>
+        ${payments}
+        <div class="grand"><span>${bill.balanceDue >= 0 ? 'Amount Payable' : 'Advance Paid'}</span><span>${formatCurrency(Math.abs(bill.balanceDue))}</span></div>
+      </div>
+      <p class="print-footer">Generated on ${formatDate(nowTimestamp())} at ${formatTime(nowTimestamp())}</p>
+    `);
+  }
+
+  function exportCustomerBill() {
+    const customerId = document.getElementById('billCustomerId').value;
+    const month = document.getElementById('customerBillMonth').value;
+    const c = dbGetList(DB_KEYS.customers).find(x => x.id === customerId);
+    if (!c || !month) return;
+    const bill = getCustomerBill(customerId, month);
+
+    const csvCell = v => `"${String(v).replace(/"/g, '""')}"`;
+    const rows = [
+      ['Date', 'Items', 'Quantity', 'Amount'],
+      ['', 'Previous balance', '', bill.openingBalance],
+      ...bill.days.map(d => [d.date, d.description, formatQuantities(d.quantities), d.amount]),
+      ...bill.payments.map(p => [p.date, p.description, '', -p.credit]),
+      ['', 'Amount payable', formatQuantities(bill.quantities), bill.balanceDue],
+    ];
+    const filename = `bill_${c.name.replace(/\W+/g, '_')}_${month}.csv`;
+    downloadFile(filename, rows.map(r => r.map(csvCell).join(',')).join('\n'), 'text/csv');
+    toast('success', 'Bill Exported', `File saved as ${filename}`);
+  }
+
+  // =============== EXPENSES ===============
+  // Running costs other than milk purchases. Recurring monthly expenses are
+  // spread evenly over the days of each month they are active.
+  const EXPENSE_CATEGORIES = {
+    rent: '🏠 Rent',
+    electricity: '💡 Electricity',
+    wages: '👷 Wages',
+    transport: '🚚 Transport',
+    maintenance: '🔧 Maintenance',
+    other: '📝 Other',
+  };
+  const EXPENSE_PAYMENT_MODES = ['cash', 'upi', 'bank'];
+
+  function isRecurringActiveOn(r, date) {
+    return r.startDate <= date && (!r.endDate || date <= r.endDate);
+  }
+
+  function getRecurringShare(r, date) {
+    const daysInMonth = Number(monthEnd(date).slice(8));
+    return Math.round(Number(r.monthlyAmount) / daysInMonth * 100) / 100;
+  }
+
+  function getDayExpenses(date) {
+    const items = dbGetList(DB_KEYS.expenses).filter(e => e.date === date);
+    const recurring = dbGetList(DB_KEYS.recurringExpenses)
+      .filter(r => isRecurringActiveOn(r, date))
+      .map(r => ({ id: r.id, name: r.name, category: r.category, paymentMode: r.paymentMode, amount: getRecurringShare(r, date) }));
+
+    const byCategory = {};
+    const byMode = {};
+    [...items, ...recurring].forEach(e => {
+      byCategory[e.category] = (byCategory[e.category] || 0) + Number(e.amount);
+      byMode[e.paymentMode] = (byMode[e.paymentMode] || 0) + Number(e.amount);
+    });
+    const oneOff = items.reduce((sum, e) => sum + Number(e.amount), 0);
+    const prorated = recurring.reduce((sum, r) => sum + r.amount, 0);
+
+    // Wages are earned per day attended and paid out monthly
+    const wages = getDayWages(date);
+    if (wages.total) byCategory.wages = (byCategory.wages || 0) + wages.total;
+    return { items, recurring, oneOff, prorated, wages: wages.total, total: oneOff + prorated + wages.total, byCategory, byMode };
+  }
+
+  function expenseOptions(options, labelFor) {
+    return options.map(key => `<option value="${key}">${labelFor(key)}</option>`).join('');
+  }
+
+  function refreshExpenses() {
+    if (!document.getElementById('expenseDate').value) {
+      document.getElementById('expenseDate').value = todayStr();
+      document.getElementById('recurringStart').value = todayStr().slice(0, 8) + '01';
+    }
+    ['expenseCategory', 'recurringCategory'].forEach(id => {
+      const select = document.getElementById(id);
+      if (!select.options.length) select.innerHTML = expenseOptions(Object.keys(EXPENSE_CATEGORIES), key => EXPENSE_CATEGORIES[key]);
+    });
+    ['expenseMode', 'recurringMode'].forEach(id => {
+      const select = document.getElementById(id);
+      if (!select.options.length) select.innerHTML = expenseOptions(EXPENSE_PAYMENT_MODES, paymentModeLabel);
+    });
+
+    const today = getDayExpenses(todayStr());
+    const monthStart = todayStr().slice(0, 8) + '01';
+    let monthTotal = 0;
+    for (let d = monthStart; d <= todayStr(); d = addDays(d, 1)) monthTotal += getDayExpenses(d).total;
+    document.getElementById('expenseTodayTotal').textContent = formatCurrency(today.total);
+    document.getElementById('expenseTodayRecurring').textContent = formatCurrency(today.prorated);
+    document.getElementById('expenseMonthTotal').textContent = formatCurrency(monthTotal);
+
+    renderExpenses();
+    renderRecurringExpenses();
+  }
+
+  function renderExpenses() {
+    const expenses = dbGetList(DB_KEYS.expenses).sort((a, b) => b.date.localeCompare(a.date) || new Date(b.timestamp) - new Date(a.timestamp)).slice(0, 30);
+    const container = document.getElementById('expenseList');
+
+    if (expenses.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state" style="padding:32px 0">
+          <div class="empty-icon">🧾</div>
+          <h4>No expenses yet</h4>
+          <p>Record rent, electricity, transport and other costs</p>
+        </div>`;
+      return;
+    }
+
+    const isOwner = currentUser && currentUser.role === 'owner';
+    container.innerHTML = expenses.map(e => `
+      <div class="activity-item" style="padding:12px 0;">
+        <span class="activity-dot alert"></span>
+        <div style="flex:1;">
+          <div class="fw-bold" style="font-size:0.88rem;">${EXPENSE_CATEGORIES[e.category] || e.category}${e.notes ? ' • ' + escHtml(e.notes) : ''}</div>
+          <div class="text-muted" style="font-size:0.75rem;">
+            ${formatDate(e.date)} • ${paymentModeLabel(e.paymentMode)} • ${escHtml(e.recordedBy || '')}
+          </div>
+        </div>
+        <span class="badge badge-danger">${formatCurrency(e.amount)}</span>
+        ${isOwner && !isDayLocked(e.date) ? `<button class="btn btn-ghost btn-sm btn-icon" onclick="MilkApp.deleteExpense('${e.id}')" title="Delete">🗑️</button>` : ''}
+      </div>`).join('');
+  }
+
+  function renderRecurringExpenses() {
+    const recurring = dbGetList(DB_KEYS.recurringExpenses);
+    const tbody = document.getElementById('recurringExpenseBody');
+    const today = todayStr();
+    const isOwner = currentUser && currentUser.role === 'owner';
+
+    tbody.innerHTML = recurring.length ? recurring.map(r => {
+      const active = isRecurringActiveOn(r, today);
+      return `
+        <tr>
+          <td class="fw-bold">${escHtml(r.name)}</td>
+          <td>${EXPENSE_CATEGORIES[r.category] || r.category}</td>
+          <td>${formatCurrency(r.monthlyAmount)}</td>
+          <td class="text-danger">${active ? formatCurrency(getRecurringShare(r, today)) : '—'}</td>
+          <td>${paymentModeLabel(r.paymentMode)}</td>
+          <td>
+            <span class="badge ${active ? 'badge-success' : 'badge-danger'}">
+              ${active ? `Since ${formatDateShort(r.startDate)}` : r.endDate ? `Ended ${formatDateShort(r.endDate)}` : `From ${formatDateShort(r.startDate)}`}
+            </span>
+          </td>
+          <td>${isOwner && !r.endDate ? `<button class="btn btn-ghost btn-sm" onclick="MilkApp.stopRecurringExpense('${r.id}')">⏹ Stop</button>` : ''}</td>
+        </tr>`;
+    }).join('') : '<tr><td colspan="7" class="text-muted text-center">No recurring expenses</td></tr>';
+  }
+
+  function addExpense(date, category, amount, paymentMode, notes) {
     if (isDayLocked(date)) {
-      toast('error', 'Day Locked', 'Cannot add sales for a closed day');
+      toast('error', 'Day Locked', 'Cannot add expenses to a closed day');
       return false;
     }
-
-    const currentStock = dbGet(DB_KEYS.currentStock) || 0;
-    if (Number(quantity) > currentStock) {
-      toast('error', 'Insufficient Stock', `Only ${formatQty(currentStock)} available. Cannot sell ${formatQty(quantity)}.`);
+    if (!EXPENSE_CATEGORIES[category] || !EXPENSE_PAYMENT_MODES.includes(paymentMode)) {
+      toast('error', 'Validation Error', 'Select a category and payment mode');
       return false;
     }
 
-    const sale = {
+    const expense = {
       id: generateId(),
       date,
+      category,
+      amount: Number(amount),
       paymentMode,
-      quantity: Number(quantity),
+      notes: notes || '',
+      recordedBy: currentUser.username,
+      timestamp: nowTimestamp(),
+    };
+    const expenses = dbGetList(DB_KEYS.expenses);
+    expenses.push(expense);
+    dbSet(DB_KEYS.expenses, expenses);
+
+    addActivity('purchase', `Expense: <strong>${formatCurrency(expense.amount)}</strong> for ${EXPENSE_CATEGORIES[category]}${notes ? ' — ' + escHtml(notes) : ''}`);
+    return expense;
+  }
+
+  function deleteExpense(id) {
+    const expense = dbGetList(DB_KEYS.expenses).find(e => e.id === id);
+    if (!expense) return;
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can delete expenses');
+      return;
+    }
+    if (isDayLocked(expense.date)) {
+      toast('error', 'Day Locked', 'Cannot change a closed day');
+      return;
+    }
+
+    showConfirm('🗑️', 'Delete Expense?', `Delete ${formatCurrency(expense.amount)} for ${EXPENSE_CATEGORIES[expense.category]} on ${formatDate(expense.date)}?`, 'Delete', 'btn-danger', () => {
+      dbSet(DB_KEYS.expenses, dbGetList(DB_KEYS.expenses).filter(e => e.id !== id));
+      MilkSecurity.auditLog('EXPENSE_DELETED', `${expense.date}: ${formatCurrency(expense.amount)} ${expense.category}`, currentUser.username);
+      toast('success', 'Expense Deleted', 'The expense has been removed');
+      refreshExpenses();
+    });
+  }
+
+  function addRecurringExpense(name, category, monthlyAmount, paymentMode, startDate) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can set up recurring expenses');
+      return false;
+    }
+    if (!EXPENSE_CATEGORIES[category] || !EXPENSE_PAYMENT_MODES.includes(paymentMode)) {
+      toast('error', 'Validation Error', 'Select a category and payment mode');
+      return false;
+    }
+    // Closed days keep the expenses they were closed with
+    if (isDayLocked(startDate)) {
+      toast('error', 'Day Locked', 'Start the expense after the last closed day');
+      return false;
+    }
+
+    const recurring = {
+      id: generateId(),
+      name,
+      category,
+      monthlyAmount: Number(monthlyAmount),
+      paymentMode,
+      startDate,
+      endDate: null,
+      createdBy: currentUser.username,
+      createdAt: nowTimestamp(),
+    };
+    const list = dbGetList(DB_KEYS.recurringExpenses);
+    list.push(recurring);
+    dbSet(DB_KEYS.recurringExpenses, list);
+
+    addActivity('purchase', `Recurring expense <strong>${escHtml(name)}</strong> set at ${formatCurrency(recurring.monthlyAmount)}/month`);
+    return recurring;
+  }
+
+  function stopRecurringExpense(id) {
+    const list = dbGetList(DB_KEYS.recurringExpenses);
+    const recurring = list.find(r => r.id === id);
+    if (!recurring || currentUser.role !== 'owner') return;
+
+    showConfirm('⏹', 'Stop Recurring Expense?', `${recurring.name} will be charged up to and including today.`, '⏹ Stop', 'btn-warning', () => {
+      // An expense that has not started yet ends before its first day
+      recurring.endDate = recurring.startDate > todayStr() ? addDays(recurring.startDate, -1) : todayStr();
+      dbSet(DB_KEYS.recurringExpenses, list);
+      toast('info', 'Expense Stopped', `${recurring.name} has been stopped`);
+      refreshExpenses();
+    });
+  }
+
+  // =============== STAFF & WAGES ===============
+  // Attendance is one record per user per day. Logging in checks a user in,
+  // logging out checks them out; the owner can also mark it by hand.
+  const WAGE_TYPES = { daily: 'per day', monthly: 'per month' };
+
+  function getStaff() {
+    // A person may have both an owner and a staff login under one username
+    const seen = new Set();
+    return dbGetList(DB_KEYS.users).filter(u => {
+      if (seen.has(u.username)) return false;
+      seen.add(u.username);
+      return true;
+    });
+  }
+
+  function getAttendance(username, date) {
+    return dbGetList(DB_KEYS.attendance).find(a => a.username === username && a.date === date);
+  }
+
+  // The wage in force when attendance is marked is kept on the record, so a
+  // later rate change does not rewrite wages already earned
+  function currentWage(username) {
+    const user = getStaff().find(u => u.username === username);
+    return { wageRate: user ? Number(user.wageRate) || 0 : 0, wageType: user ? user.wageType : null };
+  }
+
+  // Logins and logouts leave a closed day's attendance as it was locked
+  function checkIn(username, source) {
+    const date = todayStr();
+    if (isDayLocked(date)) return;
+    const records = dbGetList(DB_KEYS.attendance);
+    const record = records.find(a => a.username === username && a.date === date);
+    if (record) {
+      // Back after logging out: the day stays open until the next logout
+      record.checkOut = null;
+    } else {
+      records.push({ id: generateId(), username, date, checkIn: nowTimestamp(), checkOut: null, source, markedBy: username, ...currentWage(username) });
+    }
+    dbSet(DB_KEYS.attendance, records);
+  }
+
+  function checkOut(username) {
+    if (isDayLocked(todayStr())) return;
+    const records = dbGetList(DB_KEYS.attendance);
+    const record = records.find(a => a.username === username && a.date === todayStr());
+    if (!record) return;
+    record.checkOut = nowTimestamp();
+    dbSet(DB_KEYS.attendance, records);
+  }
+
+  // Records marked before rates were stored fall back to the user's current rate
+  function getDayWage(record, user) {
+    const wage = record.wageRate !== undefined ? record : user;
+    if (!wage || !wage.wageRate) return 0;
+    if (wage.wageType === 'monthly') {
+      return Math.round(Number(wage.wageRate) / Number(monthEnd(record.date).slice(8)) * 100) / 100;
+    }
+    return Number(wage.wageRate);
+  }
+
+  function getDayWages(date) {
+    const staff = getStaff();
+    const byUser = dbGetList(DB_KEYS.attendance)
+      .filter(a => a.date === date)
+      .map(a => {
+        const user = staff.find(u => u.username === a.username);
+        return { username: a.username, name: user ? user.name : a.username, amount: getDayWage(a, user) };
+      })
+      .filter(w => w.amount > 0);
+    return { byUser, total: byUser.reduce((sum, w) => sum + w.amount, 0) };
+  }
+
+  // Earned wages for the month so far, less advances paid in that month
+  function getPayoutSheet(month) {
+    const from = month + '-01';
+    const last = monthEnd(from);
+    const to = last < todayStr() ? last : todayStr();
+    const attendance = dbGetList(DB_KEYS.attendance).filter(a => a.date >= from && a.date <= to);
+    const advances = dbGetList(DB_KEYS.staffAdvances).filter(a => a.date >= from && a.date <= last);
+
+    return getStaff().map(u => {
+      const days = attendance.filter(a => a.username === u.username);
+      const earned = days.reduce((sum, a) => sum + getDayWage(a, u), 0);
+      const advance = advances.filter(a => a.username === u.username).reduce((sum, a) => sum + Number(a.amount), 0);
+      return { username: u.username, name: u.name, wageType: u.wageType, wageRate: Number(u.wageRate), daysPresent: days.length, earned, advance, payable: earned - advance };
+    }).filter(p => p.wageRate || p.earned);
+  }
+
+  function refreshStaff() {
+    const dateInput = document.getElementById('attendanceDate');
+    if (!dateInput.value) {
+      dateInput.value = todayStr();
+      document.getElementById('advanceDate').value = todayStr();
+      document.getElementById('payoutMonth').value = todayStr().slice(0, 7);
+    }
+    const modeSelect = document.getElementById('advanceMode');
+    if (!modeSelect.options.length) modeSelect.innerHTML = expenseOptions(EXPENSE_PAYMENT_MODES, paymentModeLabel);
+    const userSelect = document.getElementById('advanceUser');
+    const selected = userSelect.value;
+    userSelect.innerHTML = getStaff().map(u => `<option value="${escHtml(u.username)}">${escHtml(u.name)}</option>`).join('');
+    if (selected) userSelect.value = selected;
+
+    const today = todayStr();
+    const month = today.slice(0, 7);
+    document.getElementById('staffPresentCount').textContent = dbGetList(DB_KEYS.attendance).filter(a => a.date === today).length;
+    document.getElementById('staffWagesToday').textContent = formatCurrency(getDayWages(today).total);
+    document.getElementById('staffAdvancesMonth').textContent = formatCurrency(
+      dbGetList(DB_KEYS.staffAdvances).filter(a => a.date.startsWith(month)).reduce((sum, a) => sum + Number(a.amount), 0)
+    );
+
+    renderAttendance();
+    renderAdvances();
+    renderPayoutSheet();
+  }
+
+  function renderAttendance() {
+    const date = document.getElementById('attendanceDate').value || todayStr();
+    const isOwner = currentUser && currentUser.role === 'owner';
+    const locked = isDayLocked(date);
+
+    document.getElementById('attendanceBody').innerHTML = getStaff().map(u => {
+      const a = getAttendance(u.username, date);
+      let actions = '';
+      if (isOwner && !locked) {
+        actions = !a
+          ? `<button class="btn btn-success btn-sm" onclick="MilkApp.markAttendance('${escHtml(u.username)}', true)">✅ Present</button>`
+          : `${date === todayStr() && !a.checkOut ? `<button class="btn btn-ghost btn-sm" onclick="MilkApp.markCheckOut('${escHtml(u.username)}')">🚪 Check Out</button>` : ''}
+             <button class="btn btn-ghost btn-sm" onclick="MilkApp.markAttendance('${escHtml(u.username)}', false)">✖ Absent</button>`;
+      }
+      return `
+        <tr>
+          <td class="fw-bold">${escHtml(u.name)}</td>
+          <td>${u.wageRate ? `${formatCurrency(u.wageRate)} ${WAGE_TYPES[u.wageType] || ''}` : '<span class="text-muted">—</span>'}</td>
+          <td>${a ? (a.checkIn ? formatTime(a.checkIn) : 'Present') : '<span class="badge badge-danger">Absent</span>'}</td>
+          <td>${a && a.checkOut ? formatTime(a.checkOut) : a && date === todayStr() ? '<span class="badge badge-success">In</span>' : '—'}</td>
+          <td>${a ? (a.source === 'login' ? '🔑 Login' : `✍️ ${escHtml(a.markedBy || '')}`) : ''}</td>
+          <td><div class="flex gap-sm">${actions}</div></td>
+        </tr>`;
+    }).join('');
+  }
+
+  function markAttendance(username, present) {
+    const date = document.getElementById('attendanceDate').value || todayStr();
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can mark attendance');
+      return;
+    }
+    if (isDayLocked(date)) {
+      toast('error', 'Day Locked', 'Cannot change attendance for a closed day');
+      return;
+    }
+
+    const records = dbGetList(DB_KEYS.attendance).filter(a => !(a.username === username && a.date === date));
+    if (present) {
+      records.push({ id: generateId(), username, date, checkIn: date === todayStr() ? nowTimestamp() : null, checkOut: null, source: 'manual', markedBy: currentUser.username, ...currentWage(username) });
+    }
+    dbSet(DB_KEYS.attendance, records);
+    refreshStaff();
+  }
+
+  function markCheckOut(username) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can mark attendance');
+      return;
+    }
+    if (isDayLocked(todayStr())) {
+      toast('error', 'Day Locked', 'Cannot change attendance for a closed day');
+      return;
+    }
+    checkOut(username);
+    refreshStaff();
+  }
+
+  function renderAdvances() {
+    const staff = getStaff();
+    const advances = dbGetList(DB_KEYS.staffAdvances).sort((a, b) => b.date.localeCompare(a.date)).slice(0, 20);
+    const container = document.getElementById('advanceList');
+
+    if (advances.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state" style="padding:32px 0">
+          <div class="empty-icon">💸</div>
+          <h4>No advances yet</h4>
+          <p>Advances are deducted from the month's payout</p>
+        </div>`;
+      return;
+    }
+
+    container.innerHTML = advances.map(a => {
+      const user = staff.find(u => u.username === a.username);
+      return `
+        <div class="activity-item" style="padding:12px 0;">
+          <span class="activity-dot purchase"></span>
+          <div style="flex:1;">
+            <div class="fw-bold" style="font-size:0.88rem;">${escHtml(user ? user.name : a.username)}${a.notes ? ' • ' + escHtml(a.notes) : ''}</div>
+            <div class="text-muted" style="font-size:0.75rem;">${formatDate(a.date)} • ${paymentModeLabel(a.paymentMode)} • ${escHtml(a.recordedBy || '')}</div>
+          </div>
+          <span class="badge badge-warning">${formatCurrency(a.amount)}</span>
+        </div>`;
+    }).join('');
+  }
+
+  function addStaffAdvance(username, date, amount, paymentMode, notes) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can pay advances');
+      return false;
+    }
+    const user = getStaff().find(u => u.username === username);
+    if (!user) {
+      toast('error', 'Validation Error', 'Select a staff member');
+      return false;
+    }
+
+    const advance = {
+      id: generateId(),
+      username,
+      date,
       amount: Number(amount),
-      customer: customer || 'Walk-in',
+      paymentMode,
       notes: notes || '',
-      paymentStatus: 'completed',
-      gatewayTransactionId: null,
+      recordedBy: currentUser.username,
       timestamp: nowTimestamp(),
     };
+    const advances = dbGetList(DB_KEYS.staffAdvances);
+    advances.push(advance);
+    dbSet(DB_KEYS.staffAdvances, advances);
 
-    const sales = dbGetList(DB_KEYS.sales);
-    sales.push(sale);
-    dbSet(DB_KEYS.sales, sales);
+    MilkSecurity.auditLog('STAFF_ADVANCE', `${user.name}: ${formatCurrency(advance.amount)} on ${date}`, currentUser.username);
+    addActivity('alert', `Advance of <strong>${formatCurrency(advance.amount)}</strong> paid to <strong>${escHtml(user.name)}</strong>`);
+    return advance;
+  }
+
+  function renderPayoutSheet() {
+    const month = document.getElementById('payoutMonth').value;
+    if (!month) return;
+    const sheet = getPayoutSheet(month);
+
+    document.getElementById('payoutEmpty').style.display = sheet.length ? 'none' : '';
+    document.getElementById('payoutBody').innerHTML = sheet.map(p => `
+      <tr>
+        <td class="fw-bold">${escHtml(p.name)}</td>
+        <td>${formatCurrency(p.wageRate)} ${WAGE_TYPES[p.wageType] || ''}</td>
+        <td>${p.daysPresent}</td>
+        <td>${formatCurrency(p.earned)}</td>
+        <td class="text-warning">${formatCurrency(p.advance)}</td>
+        <td class="fw-bold ${p.payable >= 0 ? 'text-success' : 'text-danger'}">${formatCurrency(p.payable)}</td>
+      </tr>`).join('');
+  }
+
+  function printPayoutSheet() {
+    const month = document.getElementById('payoutMonth').value;
+    if (!month) return;
+    const sheet = getPayoutSheet(month);
+    const rows = sheet.map(p => `
+      <tr>
+        <td>${escHtml(p.name)}</td>
+        <td class="num">${p.daysPresent}</td>
+        <td class="num">${formatCurrency(p.earned)}</td>
+        <td class="num">${formatCurrency(p.advance)}</td>
+        <td class="num">${formatCurrency(p.payable)}</td>
+      </tr>`).join('');
+
+    printDocument(`
+      ${printShopHeader()}
+      <h2>Staff Payout Sheet</h2>
+      <div class="print-meta">
+        <div>Period: ${formatDate(month + '-01')} – ${formatDate(monthEnd(month + '-01'))}</div>
+      </div>
+      <table>
+        <thead>
+          <tr><th>Staff</th><th class="num">Days</th><th class="num">Earned</th><th class="num">Advances</th><th class="num">Payable</th></tr>
+        </thead>
+        <tbody>
+          ${rows || '<tr><td colspan="5">No staff with a wage rate</td></tr>'}
+        </tbody>
+      </table>
+      <div class="print-totals">
+        <div class="grand"><span>Total Payable</span><span>${formatCurrency(sheet.reduce((sum, p) => sum + p.payable, 0))}</span></div>
+      </div>
+      <p class="print-footer">Generated on ${formatDate(nowTimestamp())} at ${formatTime(nowTimestamp())}</p>
+    `);
+  }
+
+  function exportPayoutSheet() {
+    const month = document.getElementById('payoutMonth').value;
+    if (!month) return;
+    const sheet = getPayoutSheet(month);
+
+    const csvCell = v => `"${String(v).replace(/"/g, '""')}"`;
+    const rows = [
+      ['Staff', 'Username', 'Wage Rate', 'Wage Type', 'Days Present', 'Earned', 'Advances', 'Payable'],
+      ...sheet.map(p => [p.name, p.username, p.wageRate, p.wageType, p.daysPresent, p.earned.toFixed(2), p.advance.toFixed(2), p.payable.toFixed(2)]),
+    ];
+    const filename = `payout_${month}.csv`;
+    downloadFile(filename, rows.map(r => r.map(csvCell).join(',')).join('\n'), 'text/csv');
+    toast('success', 'Payout Sheet Exported', `File saved as ${filename}`);
+  }
+
+  // =============== CASH DRAWER ===============
+  // One drawer record per day, saved as it is counted so petty cash and
+  // partial counts survive a reload. Closing copies the totals onto the closing.
+  const CASH_DENOMINATIONS = [500, 200, 100, 50, 20, 10];
+
+  function getCashDrawer(date = todayStr()) {
+    const drawers = dbGetList(DB_KEYS.cashDrawers);
+    const drawer = drawers.find(d => d.date === date);
+    if (drawer) return drawer;
+
+    // The float usually stays the same day to day
+    const previous = drawers.filter(d => d.date < date).sort((a, b) => b.date.localeCompare(a.date))[0];
+    return {
+      date,
+      openingFloat: previous ? Number(previous.openingFloat) || 0 : 0,
+      denominations: {},
+      coins: 0,
+      pettyCash: [],
+      note: '',
+      noteBy: null,
+    };
+  }
+
+  function saveCashDrawer(drawer) {
+    const drawers = dbGetList(DB_KEYS.cashDrawers).filter(d => d.date !== drawer.date);
+    drawers.push({ ...drawer, updatedAt: nowTimestamp() });
+    dbSet(DB_KEYS.cashDrawers, drawers);
+  }
+
+  function getCashDrawerTotals(drawer, summary) {
+    const counted = CASH_DENOMINATIONS.reduce((sum, d) => sum + d * (Number(drawer.denominations[d]) || 0), 0) + (Number(drawer.coins) || 0);
+    const pettyCash = drawer.pettyCash.reduce((sum, p) => sum + Number(p.amount), 0);
+    // Cash expenses, advances and supplier payments also leave the drawer; petty cash covers anything else
+    const paidOut = summary.cashPaidOut.expenses + summary.cashPaidOut.advances + summary.cashPaidOut.suppliers;
+    const expected = Number(drawer.openingFloat) + summary.cashRevenue + summary.collections.cash - pettyCash - paidOut;
+    const isCounted = drawer.coins > 0 || Object.values(drawer.denominations).some(n => Number(n) > 0);
+    return { counted, pettyCash, paidOut, expected, overShort: counted - expected, isCounted };
+  }
+
+  function isDrawerShort(totals) {
+    return totals.overShort < -0.005;
+  }
+
+  function renderCashDrawer(summary) {
+    const date = getClosingDate();
+    const drawer = getCashDrawer(date);
+    const locked = isDayLocked(date);
+
+    document.getElementById('drawerFloat').value = drawer.openingFloat || '';
+    document.getElementById('drawerNote').value = drawer.note || '';
+    document.getElementById('drawerDenominations').innerHTML = CASH_DENOMINATIONS.map(d => `
+      <div class="form-group">
+        <label for="drawerDenom${d}">₹${d} × </label>
+        <input type="number" id="drawerDenom${d}" class="form-control" step="1" min="0" placeholder="0"
+          value="${Number(drawer.denominations[d]) || ''}" oninput="MilkApp.updateCashDrawer()" />
+      </div>`).join('') + `
+      <div class="form-group">
+        <label for="drawerCoins">Coins (₹)</label>
+        <input type="number" id="drawerCoins" class="form-control" step="1" min="0" placeholder="0"
+          value="${Number(drawer.coins) || ''}" oninput="MilkApp.updateCashDrawer()" />
+      </div>`;
+
+    document.getElementById('pettyCashList').innerHTML = drawer.pettyCash.map(p => `
+      <div class="flex gap-sm" style="align-items:center;font-size:0.85rem;">
+        <span class="text-danger fw-bold">− ${formatCurrency(p.amount)}</span>
+        <span>${escHtml(p.reason)}</span>
+        <span class="text-muted">${formatTime(p.timestamp)} · ${escHtml(p.recordedBy || '')}</span>
+        ${locked ? '' : `<button class="btn btn-ghost btn-sm" onclick="MilkApp.removePettyCash('${p.id}')">✕</button>`}
+      </div>`).join('') + [
+      [summary.cashPaidOut.expenses, 'Cash expenses'],
+      [summary.cashPaidOut.advances, 'Staff advances in cash'],
+      [summary.cashPaidOut.suppliers, 'Paid to suppliers in cash'],
+    ].filter(([amount]) => amount > 0).map(([amount, label]) => `
+      <div class="flex gap-sm" style="align-items:center;font-size:0.85rem;">
+        <span class="text-danger fw-bold">− ${formatCurrency(amount)}</span>
+        <span class="text-muted">${label}</span>
+      </div>`).join('');
+
+    document.querySelectorAll('#cashDrawerCard input, #cashDrawerCard textarea, #cashDrawerCard button').forEach(el => {
+      el.disabled = locked;
+    });
+
+    renderCashDrawerTotals(drawer, summary);
+  }
+
+  function renderCashDrawerTotals(drawer, summary) {
+    const totals = getCashDrawerTotals(drawer, summary);
+    document.getElementById('drawerExpected').textContent = formatCurrency(totals.expected);
+    document.getElementById('drawerCounted').textContent = formatCurrency(totals.counted);
+
+    const overShortEl = document.getElementById('drawerOverShort');
+    overShortEl.textContent = (totals.overShort > 0 ? '+' : '') + formatCurrency(totals.overShort);
+    overShortEl.className = `s-value ${isDrawerShort(totals) ? 'text-danger' : totals.overShort > 0.005 ? 'text-warning' : 'text-success'}`;
+
+    const badge = document.getElementById('drawerStatusBadge');
+    if (!totals.isCounted) {
+      badge.textContent = 'Not counted';
+      badge.className = 'badge badge-primary';
+    } else if (isDrawerShort(totals)) {
+      badge.textContent = 'Short';
+      badge.className = 'badge badge-danger';
+    } else if (totals.overShort > 0.005) {
+      badge.textContent = 'Over';
+      badge.className = 'badge badge-warning';
+    } else {
+      badge.textContent = 'Balanced';
+      badge.className = 'badge badge-success';
+    }
+  }
+
+  function updateCashDrawer() {
+    const date = getClosingDate();
+    if (isDayLocked(date)) return;
+
+    const drawer = getCashDrawer(date);
+    drawer.openingFloat = Math.max(0, Number(document.getElementById('drawerFloat').value) || 0);
+    CASH_DENOMINATIONS.forEach(d => {
+      drawer.denominations[d] = Math.max(0, Math.floor(Number(document.getElementById(`drawerDenom${d}`).value) || 0));
+    });
+    drawer.coins = Math.max(0, Number(document.getElementById('drawerCoins').value) || 0);
+
+    const note = document.getElementById('drawerNote').value.trim();
+    if (note !== drawer.note && currentUser.role === 'owner') {
+      drawer.note = note;
+      drawer.noteBy = currentUser.username;
+    }
+
+    saveCashDrawer(drawer);
+    renderCashDrawerTotals(drawer, getDaySummary(date));
+  }
+
+  function addPettyCash() {
+    const date = getClosingDate();
+    if (isDayLocked(date)) {
+      toast('error', 'Day Locked', 'This day has been closed');
+      return;
+    }
 
-    // Reduce stock
-    const newStock = currentStock - Number(quantity);
-    dbSet(DB_KEYS.currentStock, Math.max(0, newStock));
+    const amount = Number(document.getElementById('pettyAmount').value);
+    const reason = document.getElementById('pettyReason').value.trim();
+    if (!(amount > 0) || !reason) {
+      toast('error', 'Validation Error', 'Enter a positive amount and a reason');
+      return;
+    }
 
-    const modeLabel = paymentMode === 'cash' ? '💵 Cash' : '📱 UPI';
-    addActivity('sale', `Sold <strong>${formatQty(quantity)}</strong> for <strong>${formatCurrency(amount)}</strong> (${modeLabel})`);
+    const drawer = getCashDrawer(date);
+    drawer.pettyCash.push({
+      id: generateId(),
+      amount,
+      reason,
+      recordedBy: currentUser.username,
+      timestamp: nowTimestamp(),
+    });
+    saveCashDrawer(drawer);
 
-    return true;
+    addActivity('alert', `Petty cash <strong>${formatCurrency(amount)}</strong> taken from drawer — ${escHtml(reason)}`);
+    toast('success', 'Petty Cash Recorded', `${formatCurrency(amount)} for ${reason}`);
+    document.getElementById('pettyAmount').value = '';
+    document.getElementById('pettyReason').value = '';
+    renderCashDrawer(getDaySummary(date));
   }
 
-  function deleteSaleConfirm(id) {
-    const sales = dbGetList(DB_KEYS.sales);
-    const sale = sales.find(s => s.id === id);
-    if (!sale) return;
-
-    if (isDayLocked(sale.date)) {
-      toast('error', 'Day Locked', 'Cannot delete sales from a closed day');
+  function removePettyCash(id) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can remove petty cash entries');
       return;
     }
+    const date = getClosingDate();
+    if (isDayLocked(date)) return;
+
+    const drawer = getCashDrawer(date);
+    const entry = drawer.pettyCash.find(p => p.id === id);
+    if (!entry) return;
+    drawer.pettyCash = drawer.pettyCash.filter(p => p.id !== id);
+    saveCashDrawer(drawer);
+    MilkSecurity.auditLog('PETTY_CASH_REMOVED', `${formatDate(date)}: removed ${formatCurrency(entry.amount)} for ${entry.reason} (recorded by ${entry.recordedBy || 'unknown'})`, currentUser.username);
+    renderCashDrawer(getDaySummary(date));
+  }
 
-    showConfirm('🗑️', 'Delete Sale?', `Delete sale of ${formatQty(sale.quantity)} for ${formatCurrency(sale.amount)}?`, 'Delete', 'btn-danger', () => {
-      const updated = dbGetList(DB_KEYS.sales).filter(s => s.id !== id);
-      dbSet(DB_KEYS.sales, updated);
+  // =============== DAY CLOSING ===============
+  // Stock figures at the top level are raw milk in litres (units can't be
+  // summed across products); revenue and expenses cover every product.
+  function getDaySummary(date) {
+    const daySales = dbGetList(DB_KEYS.sales).filter(s => s.date === date && isCountedSale(s));
+    const dayStock = dbGetList(DB_KEYS.stockEntries).filter(s => s.date === date && !s.voided);
+    const dayBatches = dbGetList(DB_KEYS.productions).filter(b => b.date === date);
+    const dayAdjustments = dbGetList(DB_KEYS.stockAdjustments).filter(a => a.date === date);
+
+    // Opening and closing stock come from the ledger, so back-dated entries land on the right day
+    const products = {};
+    getProducts().forEach(p => {
+      const purchased = dayStock.filter(e => recordProduct(e) === p.id).reduce((sum, e) => sum + Number(e.quantity), 0);
+      const productSales = daySales.filter(s => recordProduct(s) === p.id);
+      const sold = productSales.reduce((sum, s) => sum + Number(s.quantity), 0);
+      const produced = dayBatches.filter(b => b.outputProductId === p.id).reduce((sum, b) => sum + Number(b.outputQuantity), 0);
+      const usedInProduction = dayBatches.filter(b => b.inputProductId === p.id).reduce((sum, b) => sum + Number(b.inputQuantity), 0);
+      const adjusted = dayAdjustments.filter(a => recordProduct(a) === p.id).reduce((sum, a) => sum + Number(a.quantity), 0);
+      const closingStock = getStockOn(p.id, date);
+      products[p.id] = {
+        openingStock: getStockOn(p.id, addDays(date, -1)),
+        purchased,
+        produced,
+        sold,
+        usedInProduction,
+        adjusted,
+        closingStock,
+        revenue: productSales.reduce((sum, s) => sum + Number(s.amount), 0),
+      };
+    });
 
-      // Restore stock
-      const currentStock = (dbGet(DB_KEYS.currentStock) || 0) + sale.quantity;
-      dbSet(DB_KEYS.currentStock, currentStock);
+    const milk = products[MILK_PRODUCT_ID];
+    const cashRevenue = daySales.filter(s => s.paymentMode === 'cash').reduce((sum, s) => sum + Number(s.amount), 0);
+    const upiRevenue = daySales.filter(s => s.paymentMode === 'upi' && !isAwaitingGateway(s)).reduce((sum, s) => sum + Number(s.amount), 0);
+    const upiPending = daySales.filter(isAwaitingGateway).reduce((sum, s) => sum + Number(s.amount), 0);
+    const creditRevenue = daySales.filter(s => s.paymentMode === 'credit').reduce((sum, s) => sum + Number(s.amount), 0);
+    const totalRevenue = cashRevenue + upiRevenue + creditRevenue;
+    const purchaseCost = dayStock.reduce((sum, e) => sum + Number(e.cost), 0);
+    const operatingExpenses = getDayExpenses(date);
+    const expenses = purchaseCost + operatingExpenses.total;
+
+    const dayCollections = dbGetList(DB_KEYS.customerPayments).filter(p => p.date === date);
+    const collections = {
+      cash: dayCollections.filter(p => p.mode === 'cash').reduce((sum, p) => sum + Number(p.amount), 0),
+      upi: dayCollections.filter(p => p.mode === 'upi').reduce((sum, p) => sum + Number(p.amount), 0),
+      total: dayCollections.reduce((sum, p) => sum + Number(p.amount), 0),
+    };
 
-      toast('success', 'Sale Deleted', 'The sale has been removed and stock restored');
-      addActivity('alert', `Deleted sale of <strong>${formatQty(sale.quantity)}</strong>`);
-      refreshSales();
+    // Wastage is reported on its own line and not deducted again: its cost is
+    // already in the purchase expenses
+    const wastage = {
+      quantity: -milk.adjusted,
+      value: dayAdjustments.reduce((sum, a) => sum + Number(a.costValue), 0),
+      byReason: {},
+    };
+    dayAdjustments.forEach(a => {
+      wastage.byReason[a.reason] = (wastage.byReason[a.reason] || 0) + Number(a.costValue);
     });
+
+    return {
+      openingStock: milk.openingStock,
+      purchased: milk.purchased,
+      sold: milk.sold,
+      usedForProduction: milk.usedInProduction,
+      closingStock: milk.closingStock,
+      cashRevenue,
+      upiRevenue,
+      upiPending,
+      creditRevenue,
+      totalRevenue,
+      collections,
+      purchaseCost,
+      operatingExpenses: {
+        total: operatingExpenses.total,
+        byCategory: operatingExpenses.byCategory,
+        byMode: operatingExpenses.byMode,
+      },
+      cashPaidOut: {
+        // Only expenses paid that day; recurring shares and wages are not drawn from the drawer daily
+        expenses: operatingExpenses.items
+          .filter(e => e.paymentMode === 'cash')
+          .reduce((sum, e) => sum + Number(e.amount), 0),
+        advances: dbGetList(DB_KEYS.staffAdvances)
+          .filter(a => a.date === date && a.paymentMode === 'cash')
+          .reduce((sum, a) => sum + Number(a.amount), 0),
+        // Money handed over on delivery comes out of the drawer, as do cash settlements
+        suppliers: dayStock.reduce((sum, e) => sum + (Number(e.paidAmount) || 0), 0) +
+          dbGetList(DB_KEYS.supplierPayments)
+            .filter(p => p.date === date && p.mode === 'cash')
+            .reduce((sum, p) => sum + Number(p.amount), 0),
+      },
+      expenses,
+      wastage,
+      netProfit: totalRevenue - expenses,
+      products,
+    };
   }
 
-  function filterSales() {
-    const filterDate = document.getElementById('salesFilterDate').value;
-    if (!filterDate) {
-      toast('warning', 'Select Date', 'Please select a date to filter');
-      return;
-    }
-    const filtered = dbGetList(DB_KEYS.sales).filter(s => s.date === filterDate);
-    renderSalesTable(filtered);
+  function renderProductRows(productTotals) {
+    return getProducts()
+      .filter(p => productTotals[p.id] && (p.status === 'active' || productTotals[p.id].closingStock || productTotals[p.id].sold || productTotals[p.id].produced))
+      .map(p => {
+        const t = productTotals[p.id];
+        return `
+          <tr>
+            <td class="fw-bold">${escHtml(p.name)}</td>
+            <td>${formatQty(t.openingStock, p.unit)}</td>
+            <td class="text-primary">${formatQty(t.purchased + t.produced, p.unit)}</td>
+            <td class="text-danger">${formatQty(t.sold, p.unit)}</td>
+            <td class="text-warning">${formatQty(t.usedInProduction, p.unit)}</td>
+            <td class="${t.adjusted < 0 ? 'text-danger' : ''}">${t.adjusted > 0 ? '+' : ''}${formatQty(t.adjusted, p.unit)}</td>
+            <td class="fw-bold">${formatQty(t.closingStock, p.unit)}</td>
+            <td class="text-success fw-bold">${formatCurrency(t.revenue)}</td>
+          </tr>`;
+      }).join('');
   }
 
-  function clearSalesFilter() {
-    document.getElementById('salesFilterDate').value = '';
-    renderSalesTable(dbGetList(DB_KEYS.sales));
+  // Date shown on the closing page: today, or an earlier unclosed day under review
+  let closingDate = null;
+
+  function getClosingDate() {
+    return closingDate || todayStr();
   }
 
-  // =============== DAY CLOSING ===============
-  function refreshClosing() {
+  // Earlier days that have records but were never closed, oldest first
+  function getUnclosedDays() {
     const today = todayStr();
-    document.getElementById('closingDateBadge').textContent = formatDate(today);
+    const closed = new Set(dbGetList(DB_KEYS.closings).map(c => c.date));
+    const dates = new Set();
+    [DB_KEYS.stockEntries, DB_KEYS.sales, DB_KEYS.productions, DB_KEYS.stockAdjustments,
+      DB_KEYS.customerPayments, DB_KEYS.supplierPayments, DB_KEYS.storageTransfers, DB_KEYS.expenses, DB_KEYS.attendance].forEach(key => {
+      dbGetList(key).forEach(r => {
+        if (!r.voided && r.date && r.date < today && !closed.has(r.date)) dates.add(r.date);
+      });
+    });
+    // A reopened day stays on the list until it is closed again
+    dbGetList(DB_KEYS.closingVersions).forEach(v => {
+      if (v.date < today && !closed.has(v.date)) dates.add(v.date);
+    });
+    return [...dates].sort();
+  }
 
-    const todaySales = dbGetList(DB_KEYS.sales).filter(s => s.date === today);
-    const todayStock = dbGetList(DB_KEYS.stockEntries).filter(s => s.date === today);
-    const closings = dbGetList(DB_KEYS.closings);
+  function reviewClosingDay(date) {
+    closingDate = date && date !== todayStr() ? date : null;
+    refreshClosing();
+  }
+
+  function renderUnclosedDays() {
+    const days = getUnclosedDays();
+    document.getElementById('unclosedDaysCard').style.display = days.length ? '' : 'none';
+    document.getElementById('unclosedDaysCount').textContent = days.length;
+    if (!days.length) return;
+
+    const isOwner = currentUser && currentUser.role === 'owner';
+    const current = getClosingDate();
+    document.getElementById('unclosedDaysBody').innerHTML = days.map((d, i) => {
+      const summary = getDaySummary(d);
+      let action = `<span class="text-muted" style="font-size:0.78rem;">After ${formatDateShort(days[i - 1] || d)}</span>`;
+      if (d === current) action = '<span class="badge badge-primary">Reviewing</span>';
+      else if (i === 0 && isOwner) action = `<button class="btn btn-warning btn-sm" onclick="MilkApp.reviewClosingDay('${d}')">📋 Review & Close</button>`;
+      else if (i === 0) action = '<span class="badge badge-warning">Awaiting owner</span>';
+      return `
+        <tr>
+          <td class="fw-bold">${formatDate(d)}</td>
+          <td>${formatQty(summary.openingStock)}</td>
+          <td class="text-primary">${formatQty(summary.purchased)}</td>
+          <td class="text-danger">${formatQty(summary.sold)}</td>
+          <td class="fw-bold">${formatQty(summary.closingStock)}</td>
+          <td class="text-success fw-bold">${formatCurrency(summary.totalRevenue)}</td>
+          <td>${action}</td>
+        </tr>`;
+    }).join('');
+  }
+
+  function refreshClosing() {
+    const date = getClosingDate();
+    const isToday = date === todayStr();
+    document.getElementById('closingDateBadge').textContent = formatDate(date);
+    document.getElementById('closingTodayBtn').style.display = isToday ? 'none' : '';
+    renderUnclosedDays();
 
-    // Calculate opening stock: current stock + today sold - today purchased
-    const currentStock = dbGet(DB_KEYS.currentStock) || 0;
-    const todayPurchased = todayStock.reduce((sum, s) => sum + Number(s.quantity), 0);
-    const todaySold = todaySales.reduce((sum, s) => sum + Number(s.quantity), 0);
-    const openingStock = currentStock - todayPurchased + todaySold;
-
-    const cashRevenue = todaySales.filter(s => s.paymentMode === 'cash').reduce((sum, s) => sum + Number(s.amount), 0);
-    const upiRevenue = todaySales.filter(s => s.paymentMode === 'upi').reduce((sum, s) => sum + Number(s.amount), 0);
-    const totalRevenue = cashRevenue + upiRevenue;
-    const totalExpenses = todayStock.reduce((sum, s) => sum + Number(s.cost), 0);
-    const netProfit = totalRevenue - totalExpenses;
-
-    document.getElementById('closingOpenStock').textContent = formatQty(openingStock);
-    document.getElementById('closingPurchased').textContent = formatQty(todayPurchased);
-    document.getElementById('closingSold').textContent = formatQty(todaySold);
-    document.getElementById('closingStock').textContent = formatQty(currentStock);
-    document.getElementById('closingCash').textContent = formatCurrency(cashRevenue);
-    document.getElementById('closingUpi').textContent = formatCurrency(upiRevenue);
-    document.getElementById('closingExpenses').textContent = formatCurrency(totalExpenses);
-    document.getElementById('closingProfit').textContent = formatCurrency(netProfit);
+    const closings = dbGetList(DB_KEYS.closings);
+    const summary = getDaySummary(date);
+
+    document.getElementById('closingOpenStock').textContent = formatQty(summary.openingStock);
+    document.getElementById('closingPurchased').textContent = formatQty(summary.purchased);
+    document.getElementById('closingSold').textContent = formatQty(summary.sold);
+    document.getElementById('closingProduction').textContent = formatQty(summary.usedForProduction);
+    document.getElementById('closingStock').textContent = formatQty(summary.closingStock);
+    document.getElementById('closingCash').textContent = formatCurrency(summary.cashRevenue);
+    document.getElementById('closingUpi').textContent = formatCurrency(summary.upiRevenue);
+    document.getElementById('closingCredit').textContent = formatCurrency(summary.creditRevenue);
+    document.getElementById('closingCollected').textContent = formatCurrency(summary.collections.total);
+    document.getElementById('closingExpenses').textContent = formatCurrency(summary.expenses);
+    document.getElementById('closingExpenses').title = [`Milk purchases ${formatCurrency(summary.purchaseCost)}`]
+      .concat(Object.entries(summary.operatingExpenses.byCategory).map(([key, amount]) => `${EXPENSE_CATEGORIES[key] || key} ${formatCurrency(amount)}`))
+      .join('\n');
+    document.getElementById('closingOtherExpenses').textContent = summary.operatingExpenses.total
+      ? `incl. ${formatCurrency(summary.operatingExpenses.total)} running costs`
+      : '';
+    const wastageEl = document.getElementById('closingWastage');
+    wastageEl.textContent = formatCurrency(summary.wastage.value);
+    // Batch balances are live, so aged stock only means something for today
+    const aged = isToday ? getAgedStock(date) : null;
+    const agedEl = document.getElementById('closingAged');
+    agedEl.textContent = aged ? formatQty(aged.quantity) : '—';
+    agedEl.title = aged && aged.expiredQuantity ? `${formatQty(aged.expiredQuantity)} past shelf life` : '';
+    wastageEl.title = Object.entries(summary.wastage.byReason).map(([r, v]) => `${ADJUSTMENT_REASONS[r] || r}: ${formatCurrency(v)}`).join('\n');
+    document.getElementById('closingProfit').textContent = formatCurrency(summary.netProfit);
+
+    document.getElementById('closingProductBody').innerHTML = renderProductRows(summary.products);
+    renderClosingShifts(date);
+    renderCashDrawer(summary);
+
+    const recon = getReconciliation(date);
+    const reconEl = document.getElementById('closingReconStatus');
+    reconEl.textContent = recon.unmatchedSales.length || recon.unmatchedCredits.length
+      ? `🏦 ${recon.unmatchedSales.length} UPI sales and ${recon.unmatchedCredits.length} statement credits are not reconciled`
+      : recon.sales.length ? '🏦 All UPI sales are reconciled' : '';
+    if (summary.upiPending) {
+      reconEl.textContent += ` ⏳ ${formatCurrency(summary.upiPending)} of UPI payments are still pending at the gateway`;
+    }
 
     // Day already closed?
-    const alreadyClosed = isDayLocked(today);
+    const alreadyClosed = isDayLocked(date);
     const closeDayBtn = document.getElementById('closeDayBtn');
     if (alreadyClosed) {
       closeDayBtn.disabled = true;
@@ -946,7 +5466,7 @@ const MilkApp = (() => {
       closeDayBtn.className = 'btn btn-ghost btn-lg';
     } else {
       closeDayBtn.disabled = false;
-      closeDayBtn.textContent = '🔒 Close Day & Lock Records';
+      closeDayBtn.textContent = isToday ? '🔒 Close Day & Lock Records' : `🔒 Close ${formatDate(date)} & Lock Records`;
       closeDayBtn.className = 'btn btn-warning btn-lg';
     }
 
@@ -954,6 +5474,31 @@ const MilkApp = (() => {
     renderClosingHistory(closings);
   }
 
+  function renderClosingShifts(date) {
+    const totals = getShiftTotals(date);
+    const isOwner = currentUser && currentUser.role === 'owner';
+    document.getElementById('closingShiftBody').innerHTML = Object.keys(SHIFTS).map(shift => {
+      const t = totals[shift];
+      return `
+        <tr>
+          <td class="fw-bold">${SHIFTS[shift]}</td>
+          <td class="text-primary">${formatQty(t.purchased)}</td>
+          <td class="text-danger">${formatQty(t.sold)}</td>
+          <td>${formatCurrency(t.cash)}</td>
+          <td>${formatCurrency(t.upi)}</td>
+          <td>${formatCurrency(t.credit)}</td>
+          <td class="text-success fw-bold">${formatCurrency(t.revenue)}</td>
+          <td>
+            ${t.locked
+              ? '<span class="badge badge-warning">🔒 Locked</span>'
+              : isOwner
+                ? `<button class="btn btn-ghost btn-sm" onclick="MilkApp.confirmLockShift('${shift}')">🔒 Lock</button>`
+                : '<span class="badge badge-success">Open</span>'}
+          </td>
+        </tr>`;
+    }).join('');
+  }
+
   function renderClosingHistory(closings) {
     const tbody = document.getElementById('closingHistoryBody');
     const empty = document.getElementById('closingHistoryEmpty');
@@ -967,9 +5512,13 @@ const MilkApp = (() => {
     empty.style.display = 'none';
     const sorted = [...closings].sort((a, b) => b.date.localeCompare(a.date));
 
+    const isOwner = currentUser && currentUser.role === 'owner';
     tbody.innerHTML = sorted.map(c => `
       <tr>
-        <td class="fw-bold">${formatDate(c.date)}</td>
+        <td class="fw-bold">
+          ${formatDate(c.date)}
+          ${c.version > 1 ? `<button class="badge badge-warning" style="border:none;cursor:pointer;" title="View changes" onclick="MilkApp.showClosingChanges('${c.id}')">v${c.version}</button>` : ''}
+        </td>
         <td>${formatQty(c.openingStock)}</td>
         <td class="text-primary">${formatQty(c.purchased)}</td>
         <td class="text-danger">${formatQty(c.sold)}</td>
@@ -977,6 +5526,10 @@ const MilkApp = (() => {
         <td class="text-success fw-bold">${formatCurrency(c.totalRevenue)}</td>
         <td class="text-danger">${formatCurrency(c.expenses)}</td>
         <td class="fw-bold ${c.netProfit >= 0 ? 'text-success' : 'text-danger'}">${formatCurrency(c.netProfit)}</td>
+        <td class="${c.cashDrawer && c.cashDrawer.overShort < -0.005 ? 'text-danger' : ''}" title="${c.cashDrawer ? escHtml(c.cashDrawer.note || '') : ''}">
+          ${c.cashDrawer ? formatCurrency(c.cashDrawer.overShort) : '—'}
+        </td>
+        <td>${isOwner && c.date === sorted[0].date ? `<button class="btn btn-ghost btn-sm" onclick="MilkApp.showReopenDay('${c.date}')">🔓 Reopen</button>` : ''}</td>
       </tr>
     `).join('');
   }
@@ -987,58 +5540,423 @@ const MilkApp = (() => {
       return;
     }
 
-    if (isDayLocked()) {
-      toast('warning', 'Already Closed', 'Today has already been closed');
+    const date = getClosingDate();
+    if (isDayLocked(date)) {
+      toast('warning', 'Already Closed', `${formatDate(date)} has already been closed`);
       return;
     }
 
-    showConfirm('🔒', 'Close Day?', 'This will lock all records for today. No further entries can be made. This cannot be undone.', '🔒 Close Day', 'btn-warning', () => {
-      closeDay();
-    });
-  }
+    // Days are closed in order so each opening stock follows a locked closing
+    const earlier = getUnclosedDays().filter(d => d < date);
+    if (earlier.length) {
+      toast('error', 'Earlier Days Open', `Close ${formatDate(earlier[0])} first — ${earlier.length} earlier day(s) are still open`);
+      return;
+    }
 
-  function closeDay() {
-    const today = todayStr();
-    const todaySales = dbGetList(DB_KEYS.sales).filter(s => s.date === today);
-    const todayStock = dbGetList(DB_KEYS.stockEntries).filter(s => s.date === today);
-    const currentStock = dbGet(DB_KEYS.currentStock) || 0;
+    // Unconfirmed gateway payments must complete or fail before they can be locked
+    const pending = dbGetList(DB_KEYS.sales).filter(s => s.date === date && isCountedSale(s) && isAwaitingGateway(s));
+    if (pending.length) {
+      toast('error', 'Payments Pending', `${pending.length} UPI payment(s) totalling ${formatCurrency(pending.reduce((sum, s) => sum + Number(s.amount), 0))} are still waiting for the gateway. Mark them received or failed on the Sales page if the gateway never confirms.`);
+      return;
+    }
 
-    const todayPurchased = todayStock.reduce((sum, s) => sum + Number(s.quantity), 0);
-    const todaySold = todaySales.reduce((sum, s) => sum + Number(s.quantity), 0);
-    const openingStock = currentStock - todayPurchased + todaySold;
+    // Once a statement has been imported for the day, every line must be resolved
+    const recon = getReconciliation(date);
+    if (recon.credits.length && (recon.unmatchedSales.length || recon.unmatchedCredits.length)) {
+      toast('error', 'Reconciliation Pending', `Resolve ${recon.unmatchedSales.length} unmatched UPI sales and ${recon.unmatchedCredits.length} unmatched credits first`);
+      return;
+    }
+
+    // A short drawer needs the owner's explanation on record
+    const drawer = getCashDrawer(date);
+    const drawerTotals = getCashDrawerTotals(drawer, getDaySummary(date));
+    if (isDrawerShort(drawerTotals) && !drawer.note) {
+      toast('error', 'Cash Drawer Short', `Drawer is short by ${formatCurrency(-drawerTotals.overShort)}. Add an owner note before closing.`);
+      document.getElementById('drawerNote').focus();
+      return;
+    }
+
+    const label = date === todayStr() ? 'today' : formatDate(date);
+    showConfirm('🔒', 'Close Day?', `This will lock all records for ${label}. No further entries can be made unless the owner reopens the day.`, '🔒 Close Day', 'btn-warning', () => {
+      closeDay(date);
+    });
+  }
 
-    const cashRevenue = todaySales.filter(s => s.paymentMode === 'cash').reduce((sum, s) => sum + Number(s.amount), 0);
-    const upiRevenue = todaySales.filter(s => s.paymentMode === 'upi').reduce((sum, s) => sum + Number(s.amount), 0);
-    const totalRevenue = cashRevenue + upiRevenue;
-    const expenses = todayStock.reduce((sum, s) => sum + Number(s.cost), 0);
+  function closeDay(date = todayStr()) {
+    const summary = getDaySummary(date);
+    const { totalRevenue, netProfit } = summary;
+    const drawer = getCashDrawer(date);
+    const drawerTotals = getCashDrawerTotals(drawer, summary);
 
+    // Re-closing a reopened day records what changed since the superseded version
+    const previous = getClosingVersions(date).pop();
     const closing = {
       id: generateId(),
-      date: today,
-      openingStock,
-      purchased: todayPurchased,
-      sold: todaySold,
-      closingStock: currentStock,
-      cashRevenue,
-      upiRevenue,
-      totalRevenue,
-      expenses,
-      netProfit: totalRevenue - expenses,
+      date,
+      version: previous ? (previous.version || 1) + 1 : 1,
+      ...summary,
+      shifts: getShiftTotals(date),
+      agedStock: date === todayStr() ? getAgedStock(date) : null,
+      cashDrawer: {
+        openingFloat: Number(drawer.openingFloat) || 0,
+        denominations: drawer.denominations,
+        coins: Number(drawer.coins) || 0,
+        pettyCash: drawer.pettyCash,
+        pettyCashTotal: drawerTotals.pettyCash,
+        counted: drawerTotals.counted,
+        expected: drawerTotals.expected,
+        overShort: drawerTotals.overShort,
+        note: drawer.note || '',
+        noteBy: drawer.noteBy || null,
+      },
       closedBy: currentUser.username,
       closedAt: nowTimestamp(),
     };
+    if (previous) {
+      closing.supersedes = previous.id;
+      closing.changes = diffClosings(previous, closing);
+    }
 
     const closings = dbGetList(DB_KEYS.closings);
     closings.push(closing);
     dbSet(DB_KEYS.closings, closings);
 
-    addActivity('closing', `<strong>Day closed</strong> — Revenue: ${formatCurrency(totalRevenue)}, Profit: ${formatCurrency(totalRevenue - expenses)}`);
+    const drawerText = Math.abs(drawerTotals.overShort) > 0.005
+      ? `, Cash ${drawerTotals.overShort > 0 ? 'over' : 'short'}: ${formatCurrency(Math.abs(drawerTotals.overShort))}`
+      : '';
+    const wastageText = summary.wastage.value ? `, Wastage: ${formatCurrency(summary.wastage.value)}` : '';
+    const agedText = closing.agedStock && closing.agedStock.quantity ? `, Aged leftover: ${formatQty(closing.agedStock.quantity)}` : '';
+    let dayText = date === todayStr() ? 'Day closed' : `${formatDate(date)} closed`;
+    if (previous) dayText += ` again (v${closing.version}, ${closing.changes.length} change(s))`;
+    addActivity('closing', `<strong>${dayText}</strong> — Revenue: ${formatCurrency(totalRevenue)}, Profit: ${formatCurrency(netProfit)}${wastageText}${agedText}${drawerText}`);
+    if (previous) {
+      const changeText = closing.changes.map(c => `${c.label} ${c.before} → ${c.after}`).join('; ') || 'no changes';
+      MilkSecurity.auditLog('DAY_RECLOSED', `${date} v${closing.version}: ${changeText}`, currentUser.username);
+    }
+    if (isDrawerShort(drawerTotals)) {
+      MilkSecurity.auditLog('CASH_SHORT', `${date}: short ${formatCurrency(-drawerTotals.overShort)} — ${drawer.note}`, currentUser.username);
+    }
+
+    toast('success', 'Day Closed!', `All records for ${formatDate(date)} have been locked.`);
+    // Guided flow: move straight on to the next open day, then today
+    closingDate = getUnclosedDays()[0] || null;
+    refreshClosing();
+    checkDayLocked();
+  }
+
+  // =============== REOPEN DAY ===============
+  // Closing fields compared when a reopened day is closed again
+  const CLOSING_DIFF_FIELDS = [
+    ['openingStock', 'Opening stock', 'qty'],
+    ['purchased', 'Purchased', 'qty'],
+    ['sold', 'Sold', 'qty'],
+    ['closingStock', 'Closing stock', 'qty'],
+    ['cashRevenue', 'Cash revenue', 'money'],
+    ['upiRevenue', 'UPI revenue', 'money'],
+    ['creditRevenue', 'Credit sales', 'money'],
+    ['totalRevenue', 'Total revenue', 'money'],
+    ['expenses', 'Expenses', 'money'],
+    ['netProfit', 'Net profit', 'money'],
+  ];
+
+  // Superseded closings for a date, oldest first
+  function getClosingVersions(date) {
+    return dbGetList(DB_KEYS.closingVersions)
+      .filter(v => v.date === date)
+      .sort((a, b) => (a.version || 1) - (b.version || 1));
+  }
+
+  function diffClosings(before, after) {
+    const fields = CLOSING_DIFF_FIELDS.map(([key, label, kind]) => ({ label, kind, before: before[key], after: after[key] }));
+    fields.push(
+      { label: 'Wastage', kind: 'money', before: before.wastage ? before.wastage.value : 0, after: after.wastage ? after.wastage.value : 0 },
+      { label: 'Cash over/short', kind: 'money', before: before.cashDrawer ? before.cashDrawer.overShort : 0, after: after.cashDrawer ? after.cashDrawer.overShort : 0 }
+    );
+    return fields
+      .filter(f => Math.abs((Number(f.after) || 0) - (Number(f.before) || 0)) > 0.005)
+      .map(f => {
+        const format = f.kind === 'qty' ? formatQty : formatCurrency;
+        return { label: f.label, before: format(Number(f.before) || 0), after: format(Number(f.after) || 0) };
+      });
+  }
+
+  // Later closings carry this day's stock forward, so days reopen newest first
+  function canReopenDay(date) {
+    const later = dbGetList(DB_KEYS.closings).filter(c => c.date > date).map(c => c.date).sort();
+    if (later.length) {
+      toast('error', 'Later Days Closed', `Reopen ${formatDate(later[later.length - 1])} first — ${later.length} later day(s) are closed`);
+      return false;
+    }
+    return true;
+  }
+
+  function showReopenDay(date) {
+    if (currentUser.role !== 'owner') {
+      toast('error', 'Access Denied', 'Only the owner can reopen a closed day');
+      return;
+    }
+    if (!canReopenDay(date)) return;
+    const closing = dbGetList(DB_KEYS.closings).find(c => c.date === date);
+    if (!closing) return;
+
+    document.getElementById('reopenDate').value = date;
+    document.getElementById('reopenSummary').textContent =
+      `${formatDate(date)} (v${closing.version || 1}) — closed by ${closing.closedBy} with revenue ${formatCurrency(closing.totalRevenue)} and profit ${formatCurrency(closing.netProfit)}`;
+    document.getElementById('reopenReason').value = '';
+    document.getElementById('reopenPassword').value = '';
+    openModal('reopenDayModal');
+  }
+
+  async function confirmReopenDay() {
+    const date = document.getElementById('reopenDate').value;
+    const reason = document.getElementById('reopenReason').value.trim();
+    const password = document.getElementById('reopenPassword').value;
+    if (!reason) {
+      toast('error', 'Reason Required', 'Say what needs correcting before reopening the day');
+      return;
+    }
+
+    // Re-authenticate: an unattended owner session must not be able to unlock history
+    const user = dbGetList(DB_KEYS.users).find(u => u.username === currentUser.username && u.role === 'owner');
+    const isValid = user && user.passwordHash && await MilkSecurity.verifyPassword(password, user.passwordHash, user.salt);
+    if (!isValid) {
+      MilkSecurity.auditLog('DAY_REOPEN_DENIED', `${date}: password check failed`, currentUser.username);
+      toast('error', 'Authentication Failed', 'Incorrect password');
+      return;
+    }
+
+    const closings = dbGetList(DB_KEYS.closings);
+    const closing = closings.find(c => c.date === date);
+    if (!closing || !canReopenDay(date)) return;
+
+    // The old snapshot is kept as a superseded version; shift locks go with it
+    // so the day's records can be corrected
+    const versions = dbGetList(DB_KEYS.closingVersions);
+    versions.push({
+      ...closing,
+      version: closing.version || 1,
+      supersededAt: nowTimestamp(),
+      reopenedBy: currentUser.username,
+      reopenReason: reason,
+    });
+    dbSet(DB_KEYS.closingVersions, versions);
+    dbSet(DB_KEYS.closings, closings.filter(c => c.id !== closing.id));
+    dbSet(DB_KEYS.shiftLocks, dbGetList(DB_KEYS.shiftLocks).filter(l => l.date !== date));
+
+    MilkSecurity.auditLog('DAY_REOPENED', `${date} v${closing.version || 1}: ${reason}`, currentUser.username);
+    addActivity('alert', `<strong>${formatDate(date)} reopened</strong> — ${escHtml(reason)}`);
+    closeModal('reopenDayModal');
+    toast('warning', 'Day Reopened', `${formatDate(date)} is open for corrections. Close it again when done.`);
 
-    toast('success', 'Day Closed!', `All records for ${formatDate(today)} have been locked.`);
+    closingDate = date === todayStr() ? null : date;
     refreshClosing();
     checkDayLocked();
   }
 
+  function showClosingChanges(id) {
+    const closing = dbGetList(DB_KEYS.closings).find(c => c.id === id);
+    if (!closing) return;
+    const versions = getClosingVersions(closing.date);
+
+    document.getElementById('closingChangesTitle').textContent = `${formatDate(closing.date)} — v${closing.version}`;
+    document.getElementById('closingChangesBody').innerHTML = closing.changes.length
+      ? closing.changes.map(c => `
+        <tr>
+          <td class="fw-bold">${escHtml(c.label)}</td>
+          <td>${c.before}</td>
+          <td class="fw-bold">${c.after}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="3" class="text-muted">No figures changed</td></tr>';
+    document.getElementById('closingVersionList').innerHTML = versions.map(v => `
+      <li class="activity-item">
+        <span class="activity-dot alert"></span>
+        <span class="activity-text">
+          <strong>v${v.version}</strong> — ${formatCurrency(v.totalRevenue)} revenue, ${formatCurrency(v.netProfit)} profit.
+          Reopened by ${escHtml(v.reopenedBy)}: ${escHtml(v.reopenReason)}
+        </span>
+        <span class="activity-time">${formatDateShort(v.supersededAt.slice(0, 10))} ${formatTime(v.supersededAt)}</span>
+      </li>`).join('');
+    openModal('closingChangesModal');
+  }
+
+  // =============== REPORTS ===============
+  const REPORT_GROUPS = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+
+  // Closed days report what was locked; open days are worked out live
+  function getDayFigures(date) {
+    return dbGetList(DB_KEYS.closings).find(c => c.date === date) || getDaySummary(date);
+  }
+
+  function reportPeriod(date, group) {
+    if (group === 'month') return date.slice(0, 7);
+    if (group === 'week') {
+      // Weeks start on Monday
+      const weekday = new Date(date + 'T00:00:00Z').getUTCDay();
+      return addDays(date, -((weekday + 6) % 7));
+    }
+    return date;
+  }
+
+  function reportPeriodLabel(key, group) {
+    if (group === 'month') return new Date(key + '-01').toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
+    if (group === 'week') return `${formatDateShort(key)} – ${formatDateShort(addDays(key, 6))}`;
+    return formatDate(key);
+  }
+
+  function getReport(from, to, group) {
+    const periods = {};
+    const totals = { purchased: 0, sold: 0, cashRevenue: 0, upiRevenue: 0, creditRevenue: 0, totalRevenue: 0, expenses: 0, netProfit: 0 };
+    for (let d = from; d <= to; d = addDays(d, 1)) {
+      const f = getDayFigures(d);
+      const key = reportPeriod(d, group);
+      if (!periods[key]) periods[key] = { key, purchased: 0, sold: 0, cashRevenue: 0, upiRevenue: 0, creditRevenue: 0, totalRevenue: 0, expenses: 0, netProfit: 0 };
+      Object.keys(totals).forEach(field => {
+        periods[key][field] += Number(f[field]) || 0;
+        totals[field] += Number(f[field]) || 0;
+      });
+    }
+
+    // Average prices and breakdowns come straight from the milk records
+    const inRange = r => r.date >= from && r.date <= to;
+    const stock = dbGetList(DB_KEYS.stockEntries).filter(e => inRange(e) && !e.voided);
+    const sales = dbGetList(DB_KEYS.sales).filter(s => inRange(s) && isCountedSale(s));
+    const milkStock = stock.filter(e => recordProduct(e) === MILK_PRODUCT_ID);
+    const milkSales = sales.filter(s => recordProduct(s) === MILK_PRODUCT_ID);
+    const milkBought = milkStock.reduce((sum, e) => sum + Number(e.quantity), 0);
+    const milkSold = milkSales.reduce((sum, s) => sum + Number(s.quantity), 0);
+    totals.avgBuyPrice = milkBought ? milkStock.reduce((sum, e) => sum + Number(e.cost), 0) / milkBought : 0;
+    totals.avgSellPrice = milkSold ? milkSales.reduce((sum, s) => sum + Number(s.amount), 0) / milkSold : 0;
+
+    const suppliers = dbGetList(DB_KEYS.suppliers);
+    const bySupplier = {};
+    milkStock.forEach(e => {
+      const sup = suppliers.find(x => x.id === e.supplierId);
+      const row = bySupplier[e.supplierId] || (bySupplier[e.supplierId] = { name: sup ? sup.name : 'Unknown', entries: 0, quantity: 0, cost: 0 });
+      row.entries += 1;
+      row.quantity += Number(e.quantity);
+      row.cost += Number(e.cost);
+    });
+
+    const byCustomer = {};
+    sales.forEach(s => {
+      const key = s.customerId || (s.customer || 'Walk-in').toLowerCase();
+      const row = byCustomer[key] || (byCustomer[key] = { name: s.customer || 'Walk-in', sales: 0, quantity: 0, amount: 0, credit: 0 });
+      row.sales += 1;
+      if (recordProduct(s) === MILK_PRODUCT_ID) row.quantity += Number(s.quantity);
+      row.amount += Number(s.amount);
+      if (s.paymentMode === 'credit') row.credit += Number(s.amount);
+    });
+
+    return {
+      from,
+      to,
+      group,
+      periods: Object.values(periods).sort((a, b) => a.key.localeCompare(b.key)),
+      totals,
+      suppliers: Object.values(bySupplier).sort((a, b) => b.quantity - a.quantity),
+      customers: Object.values(byCustomer).sort((a, b) => b.amount - a.amount),
+    };
+  }
+
+  function refreshReports() {
+    if (!document.getElementById('reportFrom').value) {
+      document.getElementById('reportFrom').value = todayStr().slice(0, 8) + '01';
+      document.getElementById('reportTo').value = todayStr();
+    }
+    renderReport();
+  }
+
+  function readReportRange() {
+    const from = document.getElementById('reportFrom').value;
+    const to = document.getElementById('reportTo').value;
+    const group = document.getElementById('reportGroup').value;
+    if (!from || !to || from > to) {
+      toast('error', 'Invalid Range', 'Choose a start date on or before the end date');
+      return null;
+    }
+    return { from, to, group };
+  }
+
+  function renderReport() {
+    const range = readReportRange();
+    if (!range) return;
+    const report = getReport(range.from, range.to, range.group);
+    const t = report.totals;
+
+    document.getElementById('reportBought').textContent = formatQty(t.purchased);
+    document.getElementById('reportSold').textContent = formatQty(t.sold);
+    document.getElementById('reportCash').textContent = formatCurrency(t.cashRevenue);
+    document.getElementById('reportUpi').textContent = formatCurrency(t.upiRevenue);
+    document.getElementById('reportExpenses').textContent = formatCurrency(t.expenses);
+    const profitEl = document.getElementById('reportProfit');
+    profitEl.textContent = formatCurrency(t.netProfit);
+    profitEl.className = `s-value ${t.netProfit >= 0 ? 'text-success' : 'text-danger'}`;
+    document.getElementById('reportAvgBuy').textContent = t.avgBuyPrice ? `${formatCurrency(t.avgBuyPrice)}/L` : '—';
+    document.getElementById('reportAvgSell').textContent = t.avgSellPrice ? `${formatCurrency(t.avgSellPrice)}/L` : '—';
+
+    document.getElementById('reportPeriodTitle').textContent = `${REPORT_GROUPS[report.group]} Summary`;
+    document.getElementById('reportPeriodBody').innerHTML = report.periods.map(p => `
+      <tr>
+        <td class="fw-bold">${reportPeriodLabel(p.key, report.group)}</td>
+        <td class="text-primary">${formatQty(p.purchased)}</td>
+        <td class="text-danger">${formatQty(p.sold)}</td>
+        <td>${formatCurrency(p.cashRevenue)}</td>
+        <td>${formatCurrency(p.upiRevenue)}</td>
+        <td>${formatCurrency(p.creditRevenue)}</td>
+        <td class="text-danger">${formatCurrency(p.expenses)}</td>
+        <td class="fw-bold ${p.netProfit >= 0 ? 'text-success' : 'text-danger'}">${formatCurrency(p.netProfit)}</td>
+      </tr>`).join('');
+
+    document.getElementById('reportSupplierBody').innerHTML = report.suppliers.length
+      ? report.suppliers.map(r => `
+        <tr>
+          <td class="fw-bold">${escHtml(r.name)}</td>
+          <td>${r.entries}</td>
+          <td>${formatQty(r.quantity)}</td>
+          <td>${formatCurrency(r.cost)}</td>
+          <td>${r.quantity ? formatCurrency(r.cost / r.quantity) : '—'}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="5" class="text-muted text-center">No purchases in this range</td></tr>';
+
+    document.getElementById('reportCustomerBody').innerHTML = report.customers.length
+      ? report.customers.map(r => `
+        <tr>
+          <td class="fw-bold">${escHtml(r.name)}</td>
+          <td>${r.sales}</td>
+          <td>${formatQty(r.quantity)}</td>
+          <td class="text-success">${formatCurrency(r.amount)}</td>
+          <td class="text-warning">${formatCurrency(r.credit)}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="5" class="text-muted text-center">No sales in this range</td></tr>';
+  }
+
+  function exportReport() {
+    const range = readReportRange();
+    if (!range) return;
+    const report = getReport(range.from, range.to, range.group);
+    const t = report.totals;
+
+    const csvCell = v => `"${String(v).replace(/"/g, '""')}"`;
+    const money = v => Number(v).toFixed(2);
+    const rows = [
+      ['Period', 'Litres Bought', 'Litres Sold', 'Cash', 'UPI', 'Credit', 'Expenses', 'Profit'],
+      ...report.periods.map(p => [reportPeriodLabel(p.key, report.group), p.purchased, p.sold, money(p.cashRevenue), money(p.upiRevenue), money(p.creditRevenue), money(p.expenses), money(p.netProfit)]),
+      ['Total', t.purchased, t.sold, money(t.cashRevenue), money(t.upiRevenue), money(t.creditRevenue), money(t.expenses), money(t.netProfit)],
+      [],
+      ['Average buying price per litre', money(t.avgBuyPrice)],
+      ['Average selling price per litre', money(t.avgSellPrice)],
+      [],
+      ['Supplier', 'Entries', 'Litres', 'Cost', 'Avg per Litre'],
+      ...report.suppliers.map(r => [r.name, r.entries, r.quantity, money(r.cost), r.quantity ? money(r.cost / r.quantity) : '']),
+      [],
+      ['Customer', 'Sales', 'Litres', 'Amount', 'On Credit'],
+      ...report.customers.map(r => [r.name, r.sales, r.quantity, money(r.amount), money(r.credit)]),
+    ];
+    const filename = `report_${report.from}_${report.to}_${report.group}.csv`;
+    downloadFile(filename, rows.map(r => r.map(csvCell).join(',')).join('\n'), 'text/csv');
+    toast('success', 'Report Exported', `File saved as ${filename}`);
+  }
+
   // =============== BACKUP ===============
   function generateBackup() {
     const now = new Date();
@@ -1051,22 +5969,33 @@ const MilkApp = (() => {
       shopSettings: dbGet(DB_KEYS.settings),
       suppliers: dbGetList(DB_KEYS.suppliers),
       stockEntries: dbGetList(DB_KEYS.stockEntries),
+      supplierPayments: dbGetList(DB_KEYS.supplierPayments),
+      products: dbGetList(DB_KEYS.products),
+      customers: dbGetList(DB_KEYS.customers),
+      customerPayments: dbGetList(DB_KEYS.customerPayments),
+      priceLists: dbGetList(DB_KEYS.priceLists),
+      statementCredits: dbGetList(DB_KEYS.statementCredits),
+      paymentEvents: dbGetList(DB_KEYS.paymentEvents),
+      cashDrawers: dbGetList(DB_KEYS.cashDrawers),
+      stockAdjustments: dbGetList(DB_KEYS.stockAdjustments),
+      productions: dbGetList(DB_KEYS.productions),
+      shiftLocks: dbGetList(DB_KEYS.shiftLocks),
+      rateCharts: dbGetList(DB_KEYS.rateCharts),
       storageLogs: dbGetList(DB_KEYS.storageLogs),
+      storageUnits: dbGetList(DB_KEYS.storageUnits),
+      storageTransfers: dbGetList(DB_KEYS.storageTransfers),
       sales: dbGetList(DB_KEYS.sales),
       closings: dbGetList(DB_KEYS.closings),
+      closingVersions: dbGetList(DB_KEYS.closingVersions),
+      expenses: dbGetList(DB_KEYS.expenses),
+      recurringExpenses: dbGetList(DB_KEYS.recurringExpenses),
+      attendance: dbGetList(DB_KEYS.attendance),
+      staffAdvances: dbGetList(DB_KEYS.staffAdvances),
       currentStock: dbGet(DB_KEYS.currentStock),
       activities: dbGetList(DB_KEYS.activities),
     };
 
-    const blob = new Blob([JSON.stringify(backupData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadFile(filename, JSON.stringify(backupData, null, 2), 'application/json');
 
     // Log backup
     const logs = dbGetList(DB_KEYS.backupLog);
@@ -1095,10 +6024,31 @@ const MilkApp = (() => {
           dbSet(DB_KEYS.settings, data.shopSettings || {});
           dbSet(DB_KEYS.suppliers, data.suppliers || []);
           dbSet(DB_KEYS.stockEntries, data.stockEntries || []);
+          dbSet(DB_KEYS.supplierPayments, data.supplierPayments || []);
+          dbSet(DB_KEYS.shiftLocks, data.shiftLocks || []);
+          dbSet(DB_KEYS.rateCharts, data.rateCharts || []);
           dbSet(DB_KEYS.storageLogs, data.storageLogs || []);
+          if (data.storageUnits) dbSet(DB_KEYS.storageUnits, data.storageUnits);
+          dbSet(DB_KEYS.storageTransfers, data.storageTransfers || []);
           dbSet(DB_KEYS.sales, data.sales || []);
           dbSet(DB_KEYS.closings, data.closings || []);
-          dbSet(DB_KEYS.currentStock, data.currentStock || 0);
+          dbSet(DB_KEYS.closingVersions, data.closingVersions || []);
+          dbSet(DB_KEYS.expenses, data.expenses || []);
+          dbSet(DB_KEYS.recurringExpenses, data.recurringExpenses || []);
+          dbSet(DB_KEYS.attendance, data.attendance || []);
+          dbSet(DB_KEYS.staffAdvances, data.staffAdvances || []);
+          dbSet(DB_KEYS.currentStock, typeof data.currentStock === 'object' && data.currentStock
+            ? data.currentStock
+            : { [MILK_PRODUCT_ID]: Number(data.currentStock) || 0 });
+          if (data.products) dbSet(DB_KEYS.products, data.products);
+          dbSet(DB_KEYS.productions, data.productions || []);
+          dbSet(DB_KEYS.customers, data.customers || []);
+          dbSet(DB_KEYS.customerPayments, data.customerPayments || []);
+          if (data.priceLists) dbSet(DB_KEYS.priceLists, data.priceLists);
+          dbSet(DB_KEYS.statementCredits, data.statementCredits || []);
+          dbSet(DB_KEYS.paymentEvents, data.paymentEvents || []);
+          dbSet(DB_KEYS.cashDrawers, data.cashDrawers || []);
+          dbSet(DB_KEYS.stockAdjustments, data.stockAdjustments || []);
           dbSet(DB_KEYS.activities, data.activities || []);
 
           // Log restore
@@ -1155,7 +6105,12 @@ const MilkApp = (() => {
     document.getElementById('shopAddress').value = settings.shopAddress || '';
     document.getElementById('shopPhone').value = settings.shopPhone || '';
     document.getElementById('defaultPrice').value = settings.defaultPrice || '';
+    document.getElementById('shopUpiVpa').value = settings.upiVpa || '';
     renderUsersTable();
+    renderProducts();
+    renderRateCharts();
+    renderPriceLists();
+    renderGatewaySettings();
     renderAuditLog();
   }
 
@@ -1184,6 +6139,32 @@ const MilkApp = (() => {
       'USER_DELETED': { icon: '🗑️', cls: 'login-fail' },
       'PASSWORD_MIGRATION': { icon: '🔒', cls: 'action' },
       'DATA_CLEARED': { icon: '⚠️', cls: 'login-fail' },
+      'RATE_CHART_SAVED': { icon: '🧪', cls: 'action' },
+      'RATE_CHART_DELETED': { icon: '🧪', cls: 'login-fail' },
+      'DEFAULT_RATE_CHART_SET': { icon: '🧪', cls: 'action' },
+      'PRICE_CHANGED': { icon: '💲', cls: 'action' },
+      'DEFAULT_PRICE_LIST_SET': { icon: '💲', cls: 'action' },
+      'SALE_PRICE_OVERRIDE': { icon: '💲', cls: 'login-fail' },
+      'SALE_EDITED': { icon: '✏️', cls: 'action' },
+      'SALE_VOIDED': { icon: '🚫', cls: 'login-fail' },
+      'STOCK_ENTRY_EDITED': { icon: '✏️', cls: 'action' },
+      'STOCK_ENTRY_VOIDED': { icon: '🚫', cls: 'login-fail' },
+      'STOCK_REBUILT': { icon: '🧮', cls: 'action' },
+      'DAY_REOPENED': { icon: '🔓', cls: 'login-fail' },
+      'DAY_RECLOSED': { icon: '🔒', cls: 'action' },
+      'DAY_REOPEN_DENIED': { icon: '⛔', cls: 'login-fail' },
+      'CASH_SHORT': { icon: '💵', cls: 'login-fail' },
+      'PETTY_CASH_REMOVED': { icon: '💵', cls: 'login-fail' },
+      'EXPENSE_DELETED': { icon: '🧾', cls: 'login-fail' },
+      'STAFF_ADVANCE': { icon: '💸', cls: 'action' },
+      'UPI_MANUAL_MATCH': { icon: '🏦', cls: 'action' },
+      'UPI_SALE_WAIVED': { icon: '🏦', cls: 'login-fail' },
+      'UPI_CREDIT_IGNORED': { icon: '🏦', cls: 'action' },
+      'UPI_UNLINKED': { icon: '🏦', cls: 'login-fail' },
+      'GATEWAY_SECRET_ROTATED': { icon: '🔑', cls: 'action' },
+      'GATEWAY_TEST_MODE': { icon: '🧪', cls: 'login-fail' },
+      'PAYMENT_EVENT_REJECTED': { icon: '⛔', cls: 'login-fail' },
+      'UPI_PENDING_RESOLVED': { icon: '🏦', cls: 'login-fail' },
     };
 
     container.innerHTML = logs.map(log => {
@@ -1199,12 +6180,17 @@ const MilkApp = (() => {
     }).join('');
   }
 
-  function saveSettings(shopName, shopAddress, shopPhone, defaultPrice) {
+  function saveSettings(shopName, shopAddress, shopPhone, defaultPrice, upiVpa) {
+    if (upiVpa && !/^[\w.-]{2,}@[A-Za-z][A-Za-z0-9]+$/.test(upiVpa)) {
+      toast('error', 'Invalid UPI ID', 'UPI ID should look like shopname@bank');
+      return;
+    }
     const settings = dbGet(DB_KEYS.settings) || {};
     settings.shopName = shopName;
     settings.shopAddress = shopAddress;
     settings.shopPhone = shopPhone;
     settings.defaultPrice = Number(defaultPrice) || 50;
+    settings.upiVpa = upiVpa || '';
     dbSet(DB_KEYS.settings, settings);
     toast('success', 'Settings Saved', 'Shop settings have been updated');
     addActivity('closing', 'Updated shop settings');
@@ -1287,6 +6273,8 @@ const MilkApp = (() => {
         document.getElementById('userPassword').value = ''; // Can't prefill hashed password
         document.getElementById('userPassword').placeholder = 'Enter new password (required)';
         document.getElementById('userRoleSelect').value = user.role;
+        document.getElementById('userWageType').value = user.wageType || 'daily';
+        document.getElementById('userWageRate').value = user.wageRate || '';
       }
     } else {
       document.getElementById('userModalTitle').textContent = 'Add New User';
@@ -1299,6 +6287,8 @@ const MilkApp = (() => {
     const username = document.getElementById('userUsername').value.trim();
     const password = document.getElementById('userPassword').value;
     const role = document.getElementById('userRoleSelect').value;
+    const wageType = document.getElementById('userWageType').value;
+    const wageRate = Number(document.getElementById('userWageRate').value) || 0;
     const editIndexStr = document.getElementById('editUserIndex').value;
     const editIndex = editIndexStr !== '' ? Number(editIndexStr) : -1;
 
@@ -1342,6 +6332,8 @@ const MilkApp = (() => {
         passwordHash: hashResult.hash,
         salt: hashResult.salt,
         role,
+        wageType,
+        wageRate,
       };
       delete users[editIndex].password; // Remove legacy field
       dbSet(DB_KEYS.users, users);
@@ -1364,6 +6356,8 @@ const MilkApp = (() => {
         salt: hashResult.salt,
         role,
         name: displayName,
+        wageType,
+        wageRate,
       });
       dbSet(DB_KEYS.users, users);
       MilkSecurity.auditLog('USER_ADDED', `Added new user: ${displayName} (${role})`, currentUser?.username);
@@ -1417,7 +6411,7 @@ const MilkApp = (() => {
       '🗑️ Clear Everything', 'btn-danger', () => {
         Object.values(DB_KEYS).forEach(key => {
           if (key !== DB_KEYS.users && key !== DB_KEYS.session) {
-            localStorage.removeItem(key);
+            dbRemove(key);
           }
         });
         initDefaults();
@@ -1427,10 +6421,43 @@ const MilkApp = (() => {
   }
 
   // =============== HELPERS ===============
+  // Also escapes quotes so the result is safe inside attribute values
   function escHtml(str) {
     const div = document.createElement('div');
     div.textContent = str || '';
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  // =============== PRINTING & EXPORT ===============
+  function printShopHeader() {
+    const settings = dbGet(DB_KEYS.settings) || {};
+    return `
+      <div class="print-header">
+        <h1>${escHtml(settings.shopName || 'My Milk Shop')}</h1>
+        ${settings.shopAddress ? `<div>${escHtml(settings.shopAddress)}</div>` : ''}
+        ${settings.shopPhone ? `<div>📞 ${escHtml(settings.shopPhone)}</div>` : ''}
+      </div>`;
+  }
+
+  function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  function printDocument(html, layout) {
+    const area = document.getElementById('printArea');
+    area.innerHTML = html;
+    area.className = layout ? 'print-' + layout : '';
+    document.body.classList.add('printing');
+    window.print();
+    document.body.classList.remove('printing');
   }
 
   // =============== SIDEBAR MOBILE ===============
@@ -1519,6 +6546,13 @@ const MilkApp = (() => {
 
     // Add Supplier button
     document.getElementById('addSupplierBtn').addEventListener('click', () => showSupplierModal());
+    document.getElementById('settleSupplierBtn').addEventListener('click', () => showSettleModal());
+
+    // Settle Supplier modal
+    document.getElementById('settleSupplier').addEventListener('change', onSettleSupplierChange);
+    document.getElementById('settleCycle').addEventListener('change', onSettleCycleChange);
+    document.getElementById('settleFrom').addEventListener('change', renderSettleSummary);
+    document.getElementById('settleTo').addEventListener('change', renderSettleSummary);
 
     // Stock form
     document.getElementById('stockForm').addEventListener('submit', (e) => {
@@ -1527,6 +6561,12 @@ const MilkApp = (() => {
       const supplierId = document.getElementById('stockSupplier').value;
       const qty = document.getElementById('stockQty').value;
       const cost = document.getElementById('stockCost').value;
+      const paidAmount = document.getElementById('stockPaid').value;
+      const fat = document.getElementById('stockFat').value;
+      const snf = document.getElementById('stockSnf').value;
+      const shift = document.getElementById('stockShift').value;
+      const productId = document.getElementById('stockProduct').value;
+      const storageUnitId = document.getElementById('stockStorageUnit').value;
       const notes = document.getElementById('stockNotes').value;
 
       if (!supplierId) {
@@ -1534,25 +6574,207 @@ const MilkApp = (() => {
         return;
       }
 
-      if (addStockEntry(date, supplierId, qty, cost, notes)) {
-        toast('success', 'Stock Added', `${formatQty(qty)} of milk has been added to stock`);
+      if (addStockEntry(date, supplierId, qty, cost, notes, { paidAmount, fat, snf, shift, productId, storageUnitId })) {
+        const product = getProduct(productId);
+        toast('success', 'Stock Added', `${formatQty(qty, product.unit)} of ${product.name} has been added to stock`);
         document.getElementById('stockForm').reset();
         document.getElementById('stockDate').value = todayStr();
+        document.getElementById('stockShift').value = currentShift();
+        document.getElementById('stockRateHint').textContent = '';
+        refreshStock();
+      }
+    });
+
+    document.getElementById('stockProduct').addEventListener('change', onStockProductChange);
+
+    // Stock adjustment form
+    document.getElementById('adjustmentForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const date = document.getElementById('adjustDate').value;
+      const shift = document.getElementById('adjustShift').value;
+      const productId = document.getElementById('adjustProduct').value;
+      const reason = document.getElementById('adjustReason').value;
+      const qty = document.getElementById('adjustQty').value;
+      const notes = document.getElementById('adjustNotes').value;
+
+      if (qty === '' || Number(qty) < 0 || (reason !== 'count' && !(Number(qty) > 0))) {
+        toast('error', 'Validation Error', 'Enter a valid quantity');
+        return;
+      }
+
+      const adjustment = addStockAdjustment(date, productId, reason, qty, notes, { shift });
+      if (adjustment) {
+        const product = getProduct(productId);
+        toast('success', 'Stock Adjusted', `${ADJUSTMENT_REASONS[reason]}: ${formatQty(adjustment.quantity, product.unit)} of ${product.name}`);
+        document.getElementById('adjustmentForm').reset();
+        document.getElementById('adjustDate').value = todayStr();
+        document.getElementById('adjustShift').value = currentShift();
         refreshStock();
       }
     });
+    // Expense forms
+    document.getElementById('expenseForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const date = document.getElementById('expenseDate').value;
+      const category = document.getElementById('expenseCategory').value;
+      const amount = document.getElementById('expenseAmount').value;
+      const mode = document.getElementById('expenseMode').value;
+      const notes = document.getElementById('expenseNotes').value.trim();
+
+      if (!(Number(amount) > 0)) {
+        toast('error', 'Validation Error', 'Enter a valid amount');
+        return;
+      }
+      if (addExpense(date, category, amount, mode, notes)) {
+        toast('success', 'Expense Added', `${formatCurrency(amount)} for ${EXPENSE_CATEGORIES[category]}`);
+        document.getElementById('expenseAmount').value = '';
+        document.getElementById('expenseNotes').value = '';
+        refreshExpenses();
+      }
+    });
+
+    document.getElementById('recurringExpenseForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = document.getElementById('recurringName').value.trim();
+      const category = document.getElementById('recurringCategory').value;
+      const amount = document.getElementById('recurringAmount').value;
+      const mode = document.getElementById('recurringMode').value;
+      const startDate = document.getElementById('recurringStart').value;
+
+      if (!name || !(Number(amount) > 0) || !startDate) {
+        toast('error', 'Validation Error', 'Enter a name, monthly amount and start date');
+        return;
+      }
+      if (addRecurringExpense(name, category, amount, mode, startDate)) {
+        toast('success', 'Recurring Expense Added', `${name}: ${formatCurrency(amount)} per month`);
+        document.getElementById('recurringName').value = '';
+        document.getElementById('recurringAmount').value = '';
+        refreshExpenses();
+      }
+    });
+
+    // Reports
+    ['reportFrom', 'reportTo', 'reportGroup'].forEach(id => {
+      document.getElementById(id).addEventListener('change', renderReport);
+    });
+
+    // Staff
+    document.getElementById('attendanceDate').addEventListener('change', renderAttendance);
+    document.getElementById('payoutMonth').addEventListener('change', renderPayoutSheet);
+    document.getElementById('advanceForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const username = document.getElementById('advanceUser').value;
+      const date = document.getElementById('advanceDate').value;
+      const amount = document.getElementById('advanceAmount').value;
+      const mode = document.getElementById('advanceMode').value;
+      const notes = document.getElementById('advanceNotes').value.trim();
+
+      if (!(Number(amount) > 0)) {
+        toast('error', 'Validation Error', 'Enter a valid amount');
+        return;
+      }
+      if (addStaffAdvance(username, date, amount, mode, notes)) {
+        toast('success', 'Advance Recorded', `${formatCurrency(amount)} will be deducted from the payout`);
+        document.getElementById('advanceAmount').value = '';
+        document.getElementById('advanceNotes').value = '';
+        refreshStaff();
+      }
+    });
+
+    ['adjustProduct', 'adjustReason', 'adjustDate'].forEach(id => {
+      document.getElementById(id).addEventListener('change', updateAdjustmentHint);
+    });
+    document.getElementById('adjustQty').addEventListener('input', updateAdjustmentHint);
+    document.getElementById('saleProduct').addEventListener('change', renderSaleStockInfo);
+    ['stockSupplier', 'stockQty', 'stockFat', 'stockSnf'].forEach(id => {
+      document.getElementById(id).addEventListener('input', updateStockCostPreview);
+    });
+
+    // Rate chart controls
+    document.getElementById('rateChartType').addEventListener('change', onRateChartTypeChange);
+    document.getElementById('defaultRateChart').addEventListener('change', (e) => setDefaultRateChart(e.target.value));
+
+    // Production form
+    document.getElementById('productionForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const date = document.getElementById('productionDate').value;
+      const shift = document.getElementById('productionShift').value;
+      const inputQty = document.getElementById('productionInputQty').value;
+      const outputProductId = document.getElementById('productionOutput').value;
+      const outputQty = document.getElementById('productionOutputQty').value;
+      const notes = document.getElementById('productionNotes').value;
+
+      if (!outputProductId) {
+        toast('error', 'Select Product', 'Please select the product being made');
+        return;
+      }
+      if (!(Number(inputQty) > 0) || !(Number(outputQty) > 0)) {
+        toast('error', 'Validation Error', 'Milk used and quantity produced must be greater than zero');
+        return;
+      }
+
+      if (addProduction(date, inputQty, outputProductId, outputQty, notes, { shift })) {
+        const output = getProduct(outputProductId);
+        toast('success', 'Batch Recorded', `${formatQty(outputQty, output.unit)} of ${output.name} added to stock`);
+        document.getElementById('productionForm').reset();
+        document.getElementById('productionDate').value = todayStr();
+        document.getElementById('productionShift').value = currentShift();
+        refreshProduction();
+      }
+    });
+    ['productionOutput', 'productionInputQty', 'productionOutputQty'].forEach(id => {
+      document.getElementById(id).addEventListener('input', updateProductionYield);
+    });
 
     // Storage form
     document.getElementById('storageForm').addEventListener('submit', (e) => {
       e.preventDefault();
       const date = document.getElementById('storageDate').value;
-      const qty = document.getElementById('storageQty').value;
+      const unitId = document.getElementById('storageUnit').value;
+      const temperature = document.getElementById('storageTemp').value;
       const notes = document.getElementById('storageNotes').value;
+      const shift = document.getElementById('storageShift').value;
+
+      if (temperature === '') {
+        toast('error', 'Validation Error', 'Enter the temperature reading');
+        return;
+      }
 
-      if (addStorageLog(date, qty, notes)) {
-        toast('success', 'Storage Logged', `${formatQty(qty)} storage log has been recorded`);
+      const log = addStorageLog(date, unitId, temperature, notes, { shift });
+      if (log) {
+        const unit = getStorageUnits().find(u => u.id === unitId);
+        if (isReadingUnsafe(log, unit)) {
+          toast('warning', 'Temperature Too High', `${unit.name} is at ${log.temperature.toFixed(1)}°C — safe limit is ${unit.safeTemp}°C`);
+        } else {
+          toast('success', 'Reading Saved', `${unit.name}: ${log.temperature.toFixed(1)}°C`);
+        }
         document.getElementById('storageForm').reset();
         document.getElementById('storageDate').value = todayStr();
+        document.getElementById('storageShift').value = currentShift();
+        document.getElementById('storageUnit').value = unitId;
+        refreshStorage();
+      }
+    });
+
+    // Transfer form
+    document.getElementById('transferForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const date = document.getElementById('transferDate').value;
+      const shift = document.getElementById('transferShift').value;
+      const fromId = document.getElementById('transferFrom').value;
+      const toId = document.getElementById('transferTo').value;
+      const qty = document.getElementById('transferQty').value;
+      const notes = document.getElementById('transferNotes').value;
+
+      if (!(Number(qty) > 0)) {
+        toast('error', 'Validation Error', 'Quantity must be greater than zero');
+        return;
+      }
+
+      if (addStorageTransfer(date, fromId, toId, qty, notes, { shift })) {
+        toast('success', 'Transfer Recorded', `${formatQty(qty)} moved to ${storageLocationName(toId)}`);
+        document.getElementById('transferQty').value = '';
+        document.getElementById('transferNotes').value = '';
         refreshStorage();
       }
     });
@@ -1566,15 +6788,61 @@ const MilkApp = (() => {
       const amount = document.getElementById('saleAmount').value;
       const customer = document.getElementById('saleCustomer').value;
       const notes = document.getElementById('saleNotes').value;
-
-      if (addSale(date, mode, qty, amount, customer, notes)) {
-        toast('success', 'Sale Recorded', `${formatQty(qty)} sold for ${formatCurrency(amount)}`);
+      const shift = document.getElementById('saleShift').value;
+      const productId = document.getElementById('saleProduct').value;
+      const customerId = document.getElementById('saleAccount').value || null;
+      const { rate, priceListId } = getSaleRate(productId, date, customerId);
+      const upiReference = mode === 'upi' ? pendingUpiRef : null;
+      // With a gateway connected, UPI sales paid through the QR wait for its confirmation
+      const paymentStatus = upiReference && isGatewayConnected() ? 'pending' : undefined;
+
+      const sale = addSale(date, mode, qty, amount, customer, notes, { shift, productId, customerId, rate, priceListId, upiReference, paymentStatus });
+      if (sale) {
+        if (upiReference) pendingUpiRef = null;
+        toast('success', 'Sale Recorded', `${formatQty(qty, getProduct(productId).unit)} sold for ${formatCurrency(amount)}`);
+        const wantsReceipt = document.getElementById('saleReceipt').checked;
         document.getElementById('saleForm').reset();
+        document.getElementById('saleReceipt').checked = wantsReceipt;
+        delete document.getElementById('saleAmount').dataset.manual;
+        if (wantsReceipt) showReceipt(sale.id);
         document.getElementById('saleDate').value = todayStr();
+        document.getElementById('saleShift').value = currentShift();
         refreshSales();
       }
     });
 
+    document.getElementById('saleMode').addEventListener('change', updateUpiQr);
+    ['saleQty', 'saleDate', 'saleProduct', 'saleAccount'].forEach(id => {
+      document.getElementById(id).addEventListener(id === 'saleQty' ? 'input' : 'change', updateSaleAmount);
+    });
+    document.getElementById('saleAmount').addEventListener('input', (e) => {
+      e.target.dataset.manual = 'true';
+      updateSaleAmount();
+    });
+
+    document.getElementById('saleAccount').addEventListener('change', (e) => {
+      const c = dbGetList(DB_KEYS.customers).find(x => x.id === e.target.value);
+      document.getElementById('saleCustomer').value = c ? c.name : '';
+    });
+
+    // Payment events relayed from another tab or a local webhook bridge
+    if ('BroadcastChannel' in window) {
+      new BroadcastChannel('milkflow-payments').addEventListener('message', (e) => {
+        if (e.data && typeof e.data.body === 'string') ingestPaymentEvent(e.data.body, e.data.signature);
+      });
+    }
+
+    document.getElementById('receiptLayout').addEventListener('change', renderReceiptPreview);
+    document.getElementById('reconDate').addEventListener('change', refreshReconciliation);
+
+    // Customers
+    document.getElementById('customerBillMonth').addEventListener('change', renderCustomerBill);
+    document.getElementById('addCustomerBtn').addEventListener('click', () => showCustomerModal());
+    document.getElementById('generateDeliveriesBtn').addEventListener('click', generateDeliveries);
+    document.getElementById('deliveryDate').addEventListener('change', refreshCustomers);
+    document.getElementById('defaultPriceList').addEventListener('change', (e) => setDefaultPriceList(e.target.value));
+    document.getElementById('priceChangeProduct').addEventListener('change', onPriceChangeProductChange);
+
     // Sales tabs
     document.querySelectorAll('#pageSales .tab-btn').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -1593,7 +6861,8 @@ const MilkApp = (() => {
         document.getElementById('shopName').value.trim(),
         document.getElementById('shopAddress').value.trim(),
         document.getElementById('shopPhone').value.trim(),
-        document.getElementById('defaultPrice').value
+        document.getElementById('defaultPrice').value,
+        document.getElementById('shopUpiVpa').value.trim()
       );
     });
 
@@ -1612,10 +6881,74 @@ const MilkApp = (() => {
     editSupplier,
     toggleSupplierStatus,
     deleteSupplierConfirm,
-    deleteSaleConfirm,
+    showSupplierLedger,
+    showSupplierPaymentModal,
+    saveSupplierPayment,
+    showSettleModal,
+    shiftSettlePeriod,
+    saveSettlement,
+    printSettleStatement,
+    showRateChartModal,
+    saveRateChart,
+    deleteRateChartConfirm,
+    showSaleEdit,
+    saveSaleEdit,
+    showStockEdit,
+    saveStockEdit,
+    showVoid,
+    confirmVoid,
+    showReceipt,
+    printReceipt,
+    importStatement,
+    linkStatementCredit,
+    unlinkStatementCredit,
+    ignoreStatementCredit,
+    waiveSaleReconciliation,
+    ingestPaymentEvent,
+    generateGatewaySecret,
+    sendMockPaymentEvent,
+    resolvePendingUpiSale,
+    setGatewayTestMode,
     filterSales,
     clearSalesFilter,
     confirmCloseDay,
+    reviewClosingDay,
+    showReopenDay,
+    confirmReopenDay,
+    showClosingChanges,
+    deleteExpense,
+    stopRecurringExpense,
+    markAttendance,
+    markCheckOut,
+    printPayoutSheet,
+    exportPayoutSheet,
+    exportReport,
+    setTrendRange,
+    updateCashDrawer,
+    addPettyCash,
+    removePettyCash,
+    confirmLockShift,
+    rebuildStock,
+    showStorageUnitModal,
+    saveStorageUnit,
+    toggleStorageUnitStatus,
+    showProductModal,
+    saveProduct,
+    toggleProductStatus,
+    showCustomerModal,
+    saveCustomer,
+    toggleCustomerStatus,
+    showPauseModal,
+    addPause,
+    removePause,
+    showCustomerPaymentModal,
+    saveCustomerPayment,
+    showCustomerBill,
+    printCustomerBill,
+    exportCustomerBill,
+    addPriceList,
+    showPriceChangeModal,
+    savePriceChange,
     generateBackup,
     restoreBackup,
     confirmClearData,
@@ -0,0 +1,119 @@
+/**
+ * =====================================================
+ * MilkFlow — Charts
+ * Small SVG line and bar charts for the dashboard,
+ * drawn without any charting library
+ * =====================================================
+ */
+
+const MilkCharts = (() => {
+    'use strict';
+
+    // Charts are drawn in viewBox units and scale to the container width
+    const WIDTH = 600;
+    const HEIGHT = 220;
+    const PAD = { top: 14, right: 12, bottom: 26, left: 56 };
+    const GRID_LINES = 4;
+    const MAX_X_LABELS = 8;
+
+    function esc(str) {
+        return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    }
+
+    // Rounds a grid interval up to 1, 2 or 5 × 10^n so axis labels stay readable
+    function niceTick(value) {
+        if (value <= 0) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        return [1, 2, 5, 10].find(s => s * magnitude >= value) * magnitude;
+    }
+
+    function buildScale(labels, values) {
+        const max = niceTick(Math.max(0, ...values) / GRID_LINES) * GRID_LINES;
+        const lowest = Math.min(0, ...values);
+        const min = lowest < 0 ? -niceTick(-lowest / GRID_LINES) * GRID_LINES : 0;
+        const plotW = WIDTH - PAD.left - PAD.right;
+        const plotH = HEIGHT - PAD.top - PAD.bottom;
+        return {
+            min,
+            max,
+            step: plotW / Math.max(labels.length, 1),
+            y: v => PAD.top + plotH - ((v - min) / (max - min)) * plotH,
+        };
+    }
+
+    function axes(labels, scale, format) {
+        let svg = '';
+        for (let i = 0; i <= GRID_LINES; i++) {
+            const value = scale.min + ((scale.max - scale.min) * i) / GRID_LINES;
+            const y = scale.y(value);
+            svg += `<line x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y}" y2="${y}" style="stroke:var(--border-color)" />`;
+            svg += `<text x="${PAD.left - 6}" y="${y + 4}" text-anchor="end" class="chart-axis">${esc(format(value))}</text>`;
+        }
+        // Thin out date labels so they never overlap
+        const every = Math.ceil(labels.length / MAX_X_LABELS);
+        labels.forEach((label, i) => {
+            if (i % every !== 0 && i !== labels.length - 1) return;
+            const x = PAD.left + scale.step * (i + 0.5);
+            svg += `<text x="${x}" y="${HEIGHT - 8}" text-anchor="middle" class="chart-axis">${esc(label)}</text>`;
+        });
+        return svg;
+    }
+
+    function legend(series) {
+        return `<div class="chart-legend">${series.map(s => `
+            <span><i class="chart-swatch" style="background:${s.color}"></i>${esc(s.name)}</span>`).join('')}
+        </div>`;
+    }
+
+    function render(container, svg, series) {
+        container.innerHTML = `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="chart-svg" role="img">${svg}</svg>${legend(series)}`;
+    }
+
+    // series: [{ name, color, values }], one value per label
+    function line(container, { labels, series, format = String }) {
+        const scale = buildScale(labels, series.flatMap(s => s.values));
+        let svg = axes(labels, scale, format);
+
+        series.forEach(s => {
+            const points = s.values.map((v, i) => [PAD.left + scale.step * (i + 0.5), scale.y(v)]);
+            svg += `<polyline points="${points.map(p => p.join(',')).join(' ')}" fill="none" style="stroke:${s.color}" stroke-width="2" stroke-linejoin="round" />`;
+            // Dots carry the hover text; skip them when they would crowd the line
+            if (points.length <= 31) {
+                svg += points.map(([x, y], i) => `
+                    <circle cx="${x}" cy="${y}" r="3" style="fill:${s.color}"><title>${esc(labels[i])} — ${esc(s.name)}: ${esc(format(s.values[i]))}</title></circle>`).join('');
+            }
+        });
+        render(container, svg, series);
+    }
+
+    // Stacked bars add the series on top of each other; otherwise they sit side by side
+    function bar(container, { labels, series, stacked = false, format = String }) {
+        const totals = labels.map((_, i) => series.reduce((sum, s) => sum + Math.max(0, s.values[i]), 0));
+        const scale = buildScale(labels, stacked ? totals : series.flatMap(s => s.values));
+        let svg = axes(labels, scale, format);
+
+        const groupW = scale.step * 0.7;
+        const barW = stacked ? groupW : groupW / series.length;
+        labels.forEach((label, i) => {
+            const left = PAD.left + scale.step * i + (scale.step - groupW) / 2;
+            let base = 0;
+            series.forEach((s, j) => {
+                const value = Math.max(0, s.values[i]);
+                const from = stacked ? base : 0;
+                const x = stacked ? left : left + barW * j;
+                const top = scale.y(from + value);
+                const height = scale.y(from) - top;
+                if (stacked) base += value;
+                if (height <= 0) return;
+                svg += `<rect x="${x}" y="${top}" width="${Math.max(barW - 1, 1)}" height="${height}" rx="2" style="fill:${s.color}">
+                    <title>${esc(label)} — ${esc(s.name)}: ${esc(format(s.values[i]))}</title></rect>`;
+            });
+        });
+        render(container, svg, series);
+    }
+
+    return {
+        line,
+        bar,
+    };
+})();
@@ -0,0 +1,57 @@
+/**
+ * =====================================================
+ * MilkFlow — Mock Payment Gateway
+ * Builds and signs gateway-style UPI payment events so
+ * the ingestion API can be exercised offline
+ * =====================================================
+ */
+
+const MilkMockGateway = (() => {
+    'use strict';
+
+    // Same payment keeps the same transaction id across pending → completed
+    const transactionIds = {};
+
+    function randomId(prefix) {
+        return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    function getSecret() {
+        try {
+            return (JSON.parse(localStorage.getItem('mf_settings')) || {}).gatewaySecret || '';
+        } catch {
+            return '';
+        }
+    }
+
+    function buildEvent(type, reference, amount, extra = {}) {
+        const key = reference || randomId('anon_');
+        if (!transactionIds[key]) transactionIds[key] = randomId('pay_');
+        return {
+            id: randomId('evt_'),
+            type,
+            createdAt: new Date().toISOString(),
+            data: {
+                transactionId: transactionIds[key],
+                reference: reference || null,
+                amount: Number(amount),
+                currency: 'INR',
+                payerName: 'Test Payer',
+                ...extra,
+            },
+        };
+    }
+
+    // Signs like a real gateway would and delivers straight to the app
+    async function send(type, reference, amount, extra) {
+        const body = JSON.stringify(buildEvent(type, reference, amount, extra));
+        const secret = getSecret();
+        const signature = secret ? await MilkSecurity.signMessage(body, secret) : '';
+        return MilkApp.ingestPaymentEvent(body, signature);
+    }
+
+    return {
+        buildEvent,
+        send,
+    };
+})();
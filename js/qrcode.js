@@ -0,0 +1,330 @@
+/**
+ * =====================================================
+ * MilkFlow — QR Code Module
+ * Dependency-free QR encoder (byte mode, ECC level M)
+ * used for UPI payment codes at the counter
+ * =====================================================
+ */
+
+const MilkQR = (() => {
+    'use strict';
+
+    // =============== CAPACITY TABLES (ECC LEVEL M) ===============
+    // Index = version (1–40); index 0 is unused
+    const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+        26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+    const NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20,
+        21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+    const FORMAT_BITS_M = 0;
+
+    function getNumRawDataModules(ver) {
+        let result = (16 * ver + 128) * ver + 64;
+        if (ver >= 2) {
+            const numAlign = Math.floor(ver / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (ver >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(ver) {
+        return Math.floor(getNumRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ver] * NUM_ECC_BLOCKS[ver];
+    }
+
+    function getBit(x, i) {
+        return ((x >>> i) & 1) !== 0;
+    }
+
+    // =============== REED-SOLOMON (GF(256)) ===============
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function rsDivisor(degree) {
+        const result = new Array(degree - 1).fill(0);
+        result.push(1);
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function rsRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        for (const b of data) {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+        }
+        return result;
+    }
+
+    // =============== DATA ENCODING ===============
+    function encodeData(bytes) {
+        let ver = 1;
+        for (; ver <= 40; ver++) {
+            const countBits = ver <= 9 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= getNumDataCodewords(ver) * 8) break;
+        }
+        if (ver > 40) throw new Error('Data too long for a QR code');
+
+        const bits = [];
+        const append = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+        append(0x4, 4); // byte mode
+        append(bytes.length, ver <= 9 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+
+        const capacity = getNumDataCodewords(ver) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+        }
+        return { ver, codewords };
+    }
+
+    function addEccAndInterleave(ver, data) {
+        const numBlocks = NUM_ECC_BLOCKS[ver];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ver];
+        const rawCodewords = Math.floor(getNumRawDataModules(ver) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = rsDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = rsRemainder(dat, divisor);
+            if (i < numShortBlocks) dat.push(0);
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding cell of short blocks
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // =============== MATRIX CONSTRUCTION ===============
+    function buildMatrix(ver, codewords) {
+        const size = ver * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const setFunction = (x, y, dark) => { modules[y][x] = dark; isFunction[y][x] = true; };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns
+        const alignPos = alignmentPositions(ver, size);
+        alignPos.forEach((ay, i) => {
+            alignPos.forEach((ax, j) => {
+                const last = alignPos.length - 1;
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve format areas, then version info
+        drawFormatBits(modules, setFunction, size, 0);
+        if (ver >= 7) {
+            let rem = ver;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (ver << 12) | rem;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, getBit(bits, i));
+                setFunction(b, a, getBit(bits, i));
+            }
+        }
+
+        // Data in the zigzag order
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+
+        return { size, modules, isFunction, setFunction };
+    }
+
+    function alignmentPositions(ver, size) {
+        if (ver === 1) return [];
+        const numAlign = Math.floor(ver / 7) + 2;
+        const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+        return result;
+    }
+
+    function drawFormatBits(modules, setFunction, size, mask) {
+        const data = (FORMAT_BITS_M << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+        setFunction(8, 7, getBit(bits, 6));
+        setFunction(8, 8, getBit(bits, 7));
+        setFunction(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+        setFunction(8, size - 8, true); // dark module
+    }
+
+    // =============== MASKING ===============
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+    ];
+
+    function applyMask(matrix, mask) {
+        const { size, modules, isFunction } = matrix;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+
+    function penaltyScore(modules, size) {
+        let score = 0;
+        const finderLike = ['10111010000', '00001011101'];
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            // Runs of five or more same-coloured modules
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += 3 + (run - 5);
+                    run = 1;
+                }
+            }
+            // Patterns that look like finder patterns
+            const text = line.map(m => (m ? '1' : '0')).join('');
+            finderLike.forEach(p => {
+                for (let i = text.indexOf(p); i >= 0; i = text.indexOf(p, i + 1)) score += 40;
+            });
+        });
+
+        // 2×2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const c = modules[y][x];
+                if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+
+        // Dark/light balance
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+
+    // =============== PUBLIC ENCODER ===============
+    function encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const { ver, codewords } = encodeData(bytes);
+        const matrix = buildMatrix(ver, addEccAndInterleave(ver, codewords));
+
+        let bestMask = 0;
+        let bestScore = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix.modules, matrix.setFunction, matrix.size, mask);
+            const score = penaltyScore(matrix.modules, matrix.size);
+            if (score < bestScore) {
+                bestScore = score;
+                bestMask = mask;
+            }
+            applyMask(matrix, mask); // XOR again to undo
+        }
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix.modules, matrix.setFunction, matrix.size, bestMask);
+
+        return { version: ver, size: matrix.size, modules: matrix.modules };
+    }
+
+    // Renders an SVG string with a four-module quiet zone
+    function toSvg(text, pixelSize = 200) {
+        const { size, modules } = encode(text);
+        const dim = size + 8;
+        let path = '';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + 4},${y + 4}h1v1h-1z`;
+            });
+        });
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${pixelSize}" height="${pixelSize}" shape-rendering="crispEdges">` +
+            `<rect width="${dim}" height="${dim}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+
+    return {
+        encode,
+        toSvg,
+    };
+})();
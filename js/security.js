@@ -370,6 +370,35 @@ const MilkSecurity = (() => {
         return JSON.parse(decoder.decode(decrypted));
     }
 
+    // =============== MESSAGE SIGNING (HMAC-SHA256) ===============
+    // Payment events are signed by the sender over the raw JSON body
+
+    async function signMessage(message, secret) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(secret),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+        return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async function verifyMessageSignature(message, signature, secret) {
+        if (!secret || typeof signature !== 'string') return false;
+        const expected = await signMessage(message, secret);
+        const given = signature.trim().toLowerCase().replace(/^sha256=/, '');
+        // Constant-time comparison
+        if (given.length !== expected.length) return false;
+        let diff = 0;
+        for (let i = 0; i < expected.length; i++) {
+            diff |= expected.charCodeAt(i) ^ given.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
     // =============== AUDIT LOG ===============
     const AUDIT_KEY = 'mf_audit_log';
 
@@ -459,6 +488,10 @@ const MilkSecurity = (() => {
         encryptBackupData,
         decryptBackupData,
 
+        // Message Signing
+        signMessage,
+        verifyMessageSignature,
+
         // Audit
         auditLog,
         getAuditLogs,